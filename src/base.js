@@ -0,0 +1,732 @@
+const { TtlCache, normalizeCacheOptions } = require("./cache");
+const {
+    GofileAbortError,
+    GofileNotFoundError,
+    GofilePasswordError,
+    GofileUploadError,
+    GofileValidationError,
+    apiError,
+    transportError,
+} = require("./errors");
+const { normalizeUploadOptions, uploadFormFields } = require("./options");
+const { ProgressTracker } = require("./progress");
+const { normalizeRetryOptions, isRetryable, isReplayable, retryDelay, sleep } = require("./retry");
+const { isBinary, isBlob, isWebStream, sha256hash } = require("./web");
+
+/** @typedef {import("./retry").RetryOptions} RetryOptions */
+/** @typedef {import("./cache").CacheOptions} CacheOptions */
+/** @typedef {import("./ledger").UploadLedger} UploadLedger */
+/** @typedef {import("./ledger").LedgerOptions} LedgerOptions */
+/** @typedef {import("./dedupe").HashStore} HashStore */
+/** @typedef {import("./dedupe").HashEntry} HashEntry */
+/** @typedef {import("./index").UploadResult} UploadResult */
+/** @typedef {import("./index").UploadOptions} UploadOptions */
+/** @typedef {import("./index").UploadInfo} UploadInfo */
+
+const DEFAULT_API_URL = "https://apiv2.gofile.io";
+const DEFAULT_SERVER_URL = "https://{server}.gofile.io";
+
+const DEFAULT_HEADERS = {
+    accept: "*/*",
+    "accept-language": "en-US,en;",
+    "cache-control": "no-cache",
+    pragma: "no-cache",
+};
+
+const BROWSER_HEADERS = {
+    referrer: "https://gofile.io/uploadFiles",
+    mode: "cors",
+    "user-agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/85.0.4183.83 Safari/537.36 Edg/85.0.564.44",
+    dnt: 1,
+    origin: "https://gofile.io",
+};
+
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+const DOWNLOAD_HEADERS = {
+    accept:
+        "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.9",
+    "accept-language": "en-US,en;q=0.9,zh-CN;q=0.8,zh;q=0.7",
+    "cache-control": "no-cache",
+    pragma: "no-cache",
+    "upgrade-insecure-requests": "1",
+};
+
+/**
+ * Performs a single HTTP request. Receives an axios-style request config and
+ * resolves to an object with at least `status`, `headers` and `data`.
+ * @callback Transport
+ * @param {object} config - Request config (`url`, `method`, `headers`, `data`, `responseType`, `timeout`, `proxy`, ...)
+ * @returns {Promise<{status: number, headers: object, data: *}>}
+ */
+/**
+ * Options for creating a client
+ * @typedef {object} ClientOptions
+ * @property {string} [apiUrl] - Origin of the API used to look up upload servers
+ * @property {string|function(string): string} [serverUrl] - Upload server URL, `{server}` is replaced by the server name
+ * @property {string} [fallbackServer] - Server used for upload info and removals when the server lookup fails, e.g. `srv-file9` (default: none, the lookup error is thrown)
+ * @property {object} [headers] - Headers sent with every request, merged over the defaults
+ * @property {boolean} [browserHeaders] - Send the browser-like headers the gofile.io website sends (default true in Node.js, always false in browsers)
+ * @property {number} [timeout] - Request timeout in milliseconds (0 for none)
+ * @property {object|false} [proxy] - Proxy settings, as accepted by axios (Node.js only)
+ * @property {Transport} [transport] - Function performing the HTTP requests (defaults to axios in Node.js, to `fetch` elsewhere)
+ * @property {Logger} [logger] - Receives diagnostic messages (silent by default)
+ * @property {RetryOptions|number|false} [retry] - Retry policy, number of attempts, or `false` to disable retries
+ * @property {CacheOptions|boolean} [cache] - Cache server lookups and upload info, `true` for the default lifetimes (default off)
+ * @property {UploadLedger|LedgerOptions|boolean} [ledger] - Record uploads in a ledger, and forget them once removed (Node.js only)
+ * @property {HashStore} [hashStore] - Where `dedupe: true` looks up content uploaded before (default: in memory; Node.js only)
+ */
+/**
+ * A file handed to {@link BaseClient#uploadFiles}. Each client documents the data it accepts.
+ * @typedef {object} UploadFile
+ * @property {*} file - File data, or a function opening it
+ * @property {string} [fn] - File name
+ */
+/**
+ * How the files of an upload are sent, prepared by {@link BaseClient#planUpload}
+ * @typedef {object} UploadPlan
+ * @property {Array<{name: string|undefined, storedName: string|undefined, size: number|undefined}>} files - For each file: its name, the name it is sent under and the size sent, when known
+ * @property {boolean} encrypted - Whether the files are encrypted before being sent
+ * @property {HashStore} [store] - Hash store looked up before sending each file (`dedupe`)
+ *
+ * Clients keep their own state on the plan as well, such as the encryption of the files.
+ */
+/**
+ * One attempt at sending a file, see {@link BaseClient#sendFile}
+ * @typedef {object} UploadAttempt
+ * @property {UploadPlan} plan - Plan of the upload
+ * @property {ProgressTracker} tracker - Tracker of the upload
+ * @property {string} server - Server to send the file to
+ * @property {Array<[string, string|number]>} fields - Form fields sent along with the file
+ * @property {AbortSignal} [signal] - Cancels the request
+ */
+/**
+ * Receiver of diagnostic messages. Any method may be left out; `console` can be passed as is.
+ * @typedef {object} Logger
+ * @property {function(string): void} [debug]
+ * @property {function(string): void} [info]
+ * @property {function(string): void} [warn]
+ * @property {function(string): void} [error]
+ */
+
+/**
+ * Fills in the methods a logger leaves out
+ * @param {Logger} [logger] - Logger given by the caller
+ * @returns {Logger}
+ */
+function createLogger(logger = {}) {
+    const res = {};
+    for (const level of LOG_LEVELS) {
+        res[level] = typeof logger[level] === "function" ? logger[level].bind(logger) : () => {};
+    }
+    return res;
+}
+
+function requireString(field, value) {
+    if (typeof value !== "string" || value === "") {
+        throw new GofileValidationError(`${field} must be a non-empty string.`, { field });
+    }
+}
+
+/**
+ * Part of the client that only needs a {@link Transport}: server lookup, API
+ * requests, retries, upload info and removal. The Node.js and the browser
+ * clients extend it with uploads and downloads.
+ */
+class BaseClient {
+    /**
+     * @param {ClientOptions} [options] - Client configuration
+     */
+    constructor(options = {}) {
+        this.apiUrl = (options.apiUrl || DEFAULT_API_URL).replace(/\/+$/, "");
+        this.serverUrl = options.serverUrl || DEFAULT_SERVER_URL;
+        this.fallbackServer = options.fallbackServer;
+        this.headers = { ...DEFAULT_HEADERS, ...options.headers };
+        /** @type {object} */
+        this.downloadHeaders = DOWNLOAD_HEADERS;
+        this.browserHeaders = options.browserHeaders !== false;
+        this.timeout = options.timeout || 0;
+        this.transport = options.transport;
+        this.logger = createLogger(options.logger);
+        this.retry = normalizeRetryOptions(options.retry);
+        const cache = normalizeCacheOptions(options.cache);
+        this.serverCache = new TtlCache(cache.server);
+        this.uploadInfoCache = new TtlCache(cache.uploadInfo);
+    }
+
+    /**
+     * Hashes a password the way the API expects it
+     * @param {string} p - Password
+     * @returns {Promise<string>|string} Hex-encoded SHA-256 hash
+     */
+    hashPassword(p) {
+        return sha256hash(p);
+    }
+
+    /**
+     * Drops the cached server, so that the next lookup asks the API
+     */
+    invalidateServer() {
+        this.serverCache.invalidate();
+    }
+
+    /**
+     * Drops cached upload info
+     * @param {string} [code] - Upload ID (default: every upload)
+     */
+    invalidateUploadInfo(code) {
+        this.uploadInfoCache.invalidate(code === undefined ? undefined : key => key.split("\n")[0] === code);
+    }
+
+    /**
+     * Builds the base URL of an upload server
+     * @param {string} server - Server name as returned by {@link GofileClient#getServer}
+     * @returns {string}
+     */
+    serverBaseUrl(server) {
+        const url = typeof this.serverUrl === "function" ? this.serverUrl(server) : this.serverUrl.replace(/\{server\}/g, server);
+        return url.replace(/\/+$/, "");
+    }
+
+    /**
+     * Sends a request through the configured transport
+     * @param {object} config - Request config
+     * @param {object} [extraHeaders] - Headers merged over the client headers
+     * @returns {Promise<{status: number, headers: object, data: *}>}
+     */
+    request(config, extraHeaders = {}) {
+        const req = {
+            ...config,
+            headers: {
+                ...this.headers,
+                ...extraHeaders,
+                ...config.headers,
+            },
+        };
+        if (this.timeout) {
+            req.timeout = this.timeout;
+        }
+        if (this.proxy !== undefined) {
+            req.proxy = this.proxy;
+        }
+        return this.transport(req);
+    }
+
+    /**
+     * Sends an API request and unwraps its `data`, raising the matching
+     * {@link GofileError} when the request fails or the reply is not `ok`.
+     * Failed requests are retried according to the retry policy of the client.
+     * @param {string} action - What is attempted, used in error messages
+     * @param {object} config - Request config
+     * @param {object} [extraHeaders] - Headers merged over the client headers
+     * @returns {Promise<*>} The `data` field of the reply
+     */
+    async api(action, config, extraHeaders) {
+        return this.withRetry(action, () => this.send(action, config, extraHeaders), {
+            replayable: isReplayable(config.data),
+        });
+    }
+
+    /**
+     * Sends an API request once, see {@link GofileClient#api}
+     * @param {string} action - What is attempted, used in error messages
+     * @param {object} config - Request config
+     * @param {object} [extraHeaders] - Headers merged over the client headers
+     * @returns {Promise<*>} The `data` field of the reply
+     */
+    async send(action, config, extraHeaders) {
+        this.logger.debug(`${action}: ${config.method} ${config.url}`);
+        let res;
+        try {
+            res = await this.request(config, extraHeaders);
+        } catch (e) {
+            throw transportError(action, e);
+        }
+
+        if (!res.data || res.data.status !== "ok") {
+            throw apiError(action, res.data, res.status, res.headers);
+        }
+        return res.data.data;
+    }
+
+    /**
+     * Runs `fn` until it succeeds, it fails with an error that cannot be
+     * retried, or the retry policy runs out of attempts
+     * @param {string} action - What is attempted, used in log messages
+     * @param {function(number): Promise<*>} fn - Makes one attempt, receives the attempt number
+     * @param {object} [opts]
+     * @param {boolean} [opts.replayable] - Whether the request body can be sent again (default true)
+     * @param {function(Error, number): Promise<void>} [opts.onRetry] - Called before each new attempt
+     * @param {AbortSignal} [opts.signal] - Stops the attempts, and the wait between them
+     * @returns {Promise<*>} What `fn` resolved to
+     */
+    async withRetry(action, fn, { replayable = true, onRetry, signal } = {}) {
+        const policy = this.retry;
+        for (let attempt = 1; ; attempt++) {
+            if (signal && signal.aborted) {
+                throw new GofileAbortError(`${action} was aborted`);
+            }
+            try {
+                return await fn(attempt);
+            } catch (e) {
+                if (attempt >= policy.attempts || !isRetryable(e, policy)) {
+                    throw e;
+                }
+                if (!replayable) {
+                    e.replayable = false;
+                    this.logger.warn(`${action} failed (${e.message}) and is not retried: the request body is a stream that was already consumed`);
+                    throw e;
+                }
+                const delay = retryDelay(attempt, policy, e);
+                if (delay === undefined) {
+                    this.logger.warn(`${action} failed (${e.message}) and is not retried: the server asked to wait longer than ${policy.maxRetryAfter}ms`);
+                    throw e;
+                }
+
+                this.logger.warn(`${action} failed (${e.message}), retrying in ${delay}ms (attempt ${attempt + 1}/${policy.attempts})`);
+                await sleep(delay, signal);
+                if (signal && signal.aborted) {
+                    throw new GofileAbortError(`${action} was aborted`);
+                }
+                if (onRetry) {
+                    await onRetry(e, attempt);
+                }
+            }
+        }
+    }
+
+    /**
+     * Looks up the server to upload to, cached when the client caches servers
+     * @returns {Promise<string>}
+     */
+    async getServer() {
+        return this.serverCache.wrap("server", async () => {
+            const data = await this.api(
+                "Fetching server info",
+                {
+                    url: `${this.apiUrl}/getServer`,
+                    method: "GET",
+                },
+                this.browserHeaders ? BROWSER_HEADERS : {}
+            );
+            return data.server;
+        });
+    }
+
+    /**
+     * Uploads every file into a single upload. The first file that goes through
+     * creates the upload, the remaining ones are added to its code.
+     * Files that fail are reported in the result; the call only rejects when no file could be uploaded.
+     * When every file failed with the same kind of error, that error is thrown with the per-file
+     * results in its `result`, otherwise a {@link GofileUploadError}.
+     * @param {UploadFile[]} files - List of files to upload
+     * @param {UploadOptions} options - Options for the upload
+     * @returns {Promise<UploadResult>} ID, removal code and per-file results of the upload
+     */
+    async uploadFiles(files, options = {}) {
+        if (!Array.isArray(files) || files.length === 0) {
+            throw new GofileValidationError("At least one file must be given.", { field: "files" });
+        }
+        this.checkFiles(files);
+        const normalized = normalizeUploadOptions(options);
+        const fields = uploadFormFields(normalized);
+        const plan = await this.planUpload(files, options);
+
+        const result = {
+            code: undefined,
+            removalCode: undefined,
+            files: [],
+            uploaded: 0,
+            reused: 0,
+            failed: 0,
+        };
+        const tracker = new ProgressTracker(
+            "upload",
+            plan.files.map(p => ({ name: p.storedName, total: p.size })),
+            options.onProgress
+        );
+
+        const { signal } = options;
+        let server = options.server;
+        let firstReused;
+        try {
+            for (let [index, f] of files.entries()) {
+                const entry = {
+                    name: plan.files[index].name,
+                    storedName: plan.files[index].storedName,
+                    encrypted: plan.encrypted,
+                    status: "pending",
+                    size: 0,
+                    attempts: 0,
+                };
+                result.files.push(entry);
+
+                if (plan.store) {
+                    const known = await this.findDuplicate(plan.store, f, entry);
+                    if (known) {
+                        Object.assign(entry, { status: "reused", code: known.code, link: known.link, size: known.size });
+                        result.reused++;
+                        firstReused = firstReused || known;
+                        tracker.setTotal(index, 0);
+                        tracker.done(index);
+                        continue;
+                    }
+                }
+                if (!server) {
+                    server = await this.getServer();
+                }
+
+                try {
+                    const sent = await this.withRetry(
+                        `Uploading ${entry.name || "file"}`,
+                        () => {
+                            entry.attempts++;
+                            tracker.reset(index);
+                            const formFields = result.code ? this.joinFields(result, options) : fields;
+                            return this.sendFile(f, index, { plan, tracker, server, fields: formFields, signal });
+                        },
+                        {
+                            signal,
+                            replayable: this.isReplayableFile(f),
+                            onRetry: async () => {
+                                // Files after the first one have to go to the server holding the upload
+                                if (!result.code && this.retry.failover) {
+                                    server = await this.failover(server);
+                                }
+                            },
+                        }
+                    );
+
+                    const { data } = sent;
+                    tracker.done(index);
+                    entry.status = "uploaded";
+                    entry.size = tracker.files[index].transferred;
+                    entry.md5 = sent.md5;
+                    entry.response = data;
+                    result.uploaded++;
+                    if (!result.code) {
+                        result.code = data.code;
+                        result.removalCode = data.removalCode;
+                        if (data.adminCode) {
+                            result.adminCode = data.adminCode;
+                        }
+                    }
+                    entry.code = result.code;
+                    if (data.downloadPage) {
+                        entry.link = data.downloadPage;
+                    }
+                    if (plan.store && entry.md5) {
+                        await this.rememberContent(plan.store, entry, result);
+                    }
+                } catch (e) {
+                    this.logger.error(`Uploading ${entry.name || "file"} failed: ${e.message}`);
+                    entry.status = "failed";
+                    entry.size = tracker.files[index].transferred;
+                    entry.error = e;
+                    result.failed++;
+                }
+            }
+        } finally {
+            // Close what was not sent: reused files, and files skipped after an abort or a fatal error
+            for (const [index, f] of files.entries()) {
+                if (!result.files[index] || result.files[index].status !== "uploaded") {
+                    this.releaseFile(f);
+                }
+            }
+        }
+
+        if (result.uploaded === 0 && result.reused === 0) {
+            const errors = result.files.map(f => f.error);
+            if (errors.every(e => e.constructor === errors[0].constructor)) {
+                // One kind of failure, let the caller handle it by its type
+                errors[0].result = result;
+                throw errors[0];
+            }
+            throw new GofileUploadError(`Uploading files failed: ${errors.map(e => e.message).join("; ")}`, {
+                result,
+                cause: errors[0],
+            });
+        }
+        if (!result.code) {
+            // Everything was uploaded before, point at the upload of the first file
+            result.code = firstReused.code;
+            result.removalCode = firstReused.removalCode;
+            return result;
+        }
+        this.invalidateUploadInfo(result.code);
+        if (this.ledger) {
+            try {
+                await this.ledger.record(result, { ...options, ...normalized });
+            } catch (e) {
+                this.logger.error(`Recording upload ${result.code} in the ledger failed: ${e.message}`);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Checks every file handed to {@link BaseClient#uploadFiles} before anything is sent
+     * @param {UploadFile[]} files - Files to upload
+     * @throws {GofileValidationError} Naming the first bad file in `index`
+     */
+    checkFiles(files) {
+        for (const [index, f] of files.entries()) {
+            const invalid = reason => new GofileValidationError(`File ${index} ${reason}.`, { field: "files", index });
+            if (!f || typeof f !== "object") {
+                throw invalid("must be an object with a file property");
+            }
+            if (typeof f.file !== "function" && !this.isFileData(f.file)) {
+                throw invalid("must be bytes, a Blob, a stream or a function opening it");
+            }
+            if (f.fn !== undefined && typeof f.fn !== "string") {
+                throw invalid("must have a string name");
+            }
+        }
+    }
+
+    /**
+     * Tells whether a value is file data this client can upload
+     * @param {*} data - Value to test
+     * @returns {boolean}
+     */
+    isFileData(data) {
+        return isBinary(data) || isBlob(data) || isWebStream(data);
+    }
+
+    /**
+     * Checks the options a client supports on top of the common ones and
+     * prepares the upload
+     * @param {UploadFile[]} files - Files to upload
+     * @param {UploadOptions} options - Options for the upload
+     * @returns {Promise<UploadPlan>}
+     */
+    async planUpload(files, options) {
+        throw new Error(`${this.constructor.name} cannot upload files`);
+    }
+
+    /**
+     * Makes one attempt at sending a file: builds the request body and sends it
+     * @param {UploadFile} f - File to upload
+     * @param {number} index - Index of the file in the upload
+     * @param {UploadAttempt} attempt - Where and how to send it
+     * @returns {Promise<{data: object, md5?: string}>} The `data` of the reply, and the MD5 hash of the bytes sent when known
+     */
+    async sendFile(f, index, attempt) {
+        throw new Error(`${this.constructor.name} cannot upload files`);
+    }
+
+    /**
+     * Tells whether a file can be sent again after a failed attempt
+     * @param {UploadFile} f - File to upload
+     * @returns {boolean}
+     */
+    isReplayableFile(f) {
+        return true;
+    }
+
+    /**
+     * Frees what a file holds when it is not sent, such as an open stream
+     * @param {UploadFile} f - File that was not uploaded
+     */
+    releaseFile(f) {}
+
+    /**
+     * MD5 hash of a file before it is sent, used by `dedupe`
+     * @param {UploadFile} f - File to upload
+     * @returns {Promise<string|undefined>} Undefined when the file cannot be hashed up front
+     */
+    async contentHash(f) {
+        return undefined;
+    }
+
+    /**
+     * Looks up content uploaded earlier, checking that its upload still holds it.
+     * Uploads that are gone are forgotten.
+     * @param {HashStore} store - Hash store
+     * @param {UploadFile} f - File to upload
+     * @param {object} entry - Result entry of the file, receives its `md5`
+     * @returns {Promise<HashEntry|undefined>} Where the content is, or undefined when it has to be uploaded
+     */
+    async findDuplicate(store, f, entry) {
+        let known;
+        try {
+            entry.md5 = await this.contentHash(f);
+            known = entry.md5 && (await store.get(entry.md5));
+        } catch (e) {
+            this.logger.warn(`Looking up ${entry.name || "file"} in the hash store failed: ${e.message}`);
+            return undefined;
+        }
+        if (!known) {
+            return undefined;
+        }
+
+        try {
+            const info = await this.getUploadInfo(known.code);
+            if (Object.keys(info.files || {}).some(k => info.files[k].md5 === entry.md5)) {
+                this.logger.info(`${entry.name || "file"} was already uploaded to ${known.code}`);
+                return known;
+            }
+        } catch (e) {
+            if (e instanceof GofilePasswordError) {
+                // Cannot be checked without the password of the earlier upload
+                return known;
+            }
+            if (!(e instanceof GofileNotFoundError)) {
+                this.logger.warn(`Checking upload ${known.code} failed (${e.message}), uploading ${entry.name || "file"} again`);
+                return undefined;
+            }
+        }
+        await store.delete(entry.md5).catch(() => {});
+        return undefined;
+    }
+
+    /**
+     * Records an uploaded file in the hash store; failures are logged
+     * @param {HashStore} store - Hash store
+     * @param {object} entry - Result entry of the file
+     * @param {UploadResult} result - Upload holding the file
+     */
+    async rememberContent(store, entry, result) {
+        try {
+            await store.set(entry.md5, {
+                code: result.code,
+                removalCode: result.removalCode,
+                link: entry.link,
+                name: entry.name,
+                size: entry.size,
+                uploadedAt: Date.now(),
+            });
+        } catch (e) {
+            this.logger.error(`Recording ${entry.name || "file"} in the hash store failed: ${e.message}`);
+        }
+    }
+
+    /**
+     * Looks up a server, falling back to the fallback server when one is configured
+     * @returns {Promise<string>}
+     */
+    async getServerOrFallback() {
+        try {
+            return await this.getServer();
+        } catch (e) {
+            if (!this.fallbackServer) {
+                throw e;
+            }
+            this.logger.warn(`${e.message}, using ${this.fallbackServer}`);
+            return this.fallbackServer;
+        }
+    }
+
+    /**
+     * Form fields adding a file to an existing upload
+     * @param {UploadResult} result - Upload being built
+     * @param {UploadOptions} options - Options for the upload
+     * @returns {Array<[string, string]>}
+     */
+    joinFields(result, options) {
+        const fields = [["code", result.code]];
+        const ac = result.adminCode || options.ac;
+        if (ac) {
+            fields.push(["ac", ac]);
+        }
+        return fields;
+    }
+
+    /**
+     * Fetches a new server after an upload failed on `server`
+     * @param {string} server - Server the upload failed on
+     * @returns {Promise<string>} The new server, or `server` when the lookup fails
+     */
+    async failover(server) {
+        this.invalidateServer();
+        try {
+            const next = await this.getServer();
+            this.logger.info(`Failing over from ${server} to ${next}`);
+            return next;
+        } catch (e) {
+            this.logger.warn(`Failover from ${server} failed: ${e.message}`);
+            return server;
+        }
+    }
+
+    /**
+     *
+     * @param {string} code - Upload ID
+     * @param {string} removalCode - Removal code of the upload
+     */
+    async removeUpload(code, removalCode) {
+        requireString("code", code);
+        requireString("removalCode", removalCode);
+        const server = await this.getServerOrFallback();
+
+        const data = await this.api("Removing upload", {
+            url: `${this.serverBaseUrl(server)}/deleteUpload?c=${encodeURIComponent(code)}&rc=${encodeURIComponent(removalCode)}`,
+            method: "GET",
+        });
+        this.invalidateUploadInfo(code);
+        if (this.ledger) {
+            try {
+                await this.ledger.forget([code]);
+            } catch (e) {
+                this.logger.error(`Forgetting upload ${code} in the ledger failed: ${e.message}`);
+            }
+        }
+        return data;
+    }
+
+    /**
+     *
+     * @param {string} code - Upload ID
+     * @param {string} [p] - Passphrase used to secure the upload
+     * @param {object} [opts]
+     * @param {boolean} [opts.fresh] - Ask the API even when the info is cached
+     * @returns {Promise<UploadInfo>}
+     */
+    async getUploadInfo(code, p = "", opts = {}) {
+        requireString("code", code);
+        const hash = p && p !== "" ? await this.hashPassword(p) : "";
+
+        return this.uploadInfoCache.wrap(
+            `${code}\n${hash}`,
+            async () => {
+                const server = await this.getServerOrFallback();
+                return this.api("Fetching upload info", {
+                    url: `${this.serverBaseUrl(server)}/getUpload?c=${encodeURIComponent(code)}${hash ? `&p=${hash}` : ""}`,
+                    method: "GET",
+                });
+            },
+            opts.fresh
+        );
+    }
+
+    /**
+     * Requests the content of a file of an upload, once
+     * @param {object} f - File entry of the upload info
+     * @param {object} [config] - Extra request config, e.g. `responseType` or `headers`
+     * @returns {Promise<{status: number, headers: object, data: *}>}
+     */
+    async requestFile(f, config = {}) {
+        this.logger.debug(`Downloading ${f.name}: GET ${f.link}`);
+        try {
+            return await this.request({
+                url: f.link,
+                method: "GET",
+                ...config,
+                headers: {
+                    ...this.downloadHeaders,
+                    ...config.headers,
+                },
+            });
+        } catch (e) {
+            throw transportError(`Downloading ${f.name}`, e);
+        }
+    }
+}
+
+module.exports = {
+    BaseClient,
+    createLogger,
+    requireString,
+    BROWSER_HEADERS,
+    DEFAULT_HEADERS,
+};
@@ -0,0 +1,278 @@
+// Entry point for browsers, Deno and edge runtimes. Only WHATWG APIs are used:
+// fetch, FormData, Blob, ReadableStream and WebCrypto.
+const { BaseClient } = require("./base");
+const errors = require("./errors");
+const { normalizeUploadOptions, checkUploadOptions } = require("./options");
+const { ProgressTracker } = require("./progress");
+const { isBlob, isBinary, isWebStream, countStream, fetchTransport, sha256hash } = require("./web");
+
+// Typedefs
+/**
+ * File for upload
+ * @typedef {object} FileUpload
+ * @property {Blob|ArrayBuffer|Uint8Array|ReadableStream|function(): (Blob|ArrayBuffer|Uint8Array|ReadableStream|Promise<Blob>)} file - File data, or a function opening it. Streams are read into memory before being sent.
+ * @property {string} [fn] - File name (defaults to the name of a `File`)
+ */
+/** @typedef {import("./index").UploadOptions} UploadOptions */
+/** @typedef {import("./index").UploadResult} UploadResult */
+/** @typedef {import("./index").UploadInfo} UploadInfo */
+/** @typedef {import("./base").ClientOptions} ClientOptions */
+/** @typedef {import("./base").UploadPlan} UploadPlan */
+/** @typedef {import("./base").UploadAttempt} UploadAttempt */
+/** @typedef {import("./progress").ProgressCallback} ProgressCallback */
+
+/**
+ * Reads the data of a file into a Blob
+ * @param {Blob|ArrayBuffer|Uint8Array|ReadableStream} data - File data
+ * @returns {Promise<Blob>}
+ */
+async function toBlob(data) {
+    if (isBlob(data)) {
+        return data;
+    }
+    if (isBinary(data)) {
+        return new Blob([data]);
+    }
+    if (isWebStream(data)) {
+        return new Response(data).blob();
+    }
+    throw new errors.GofileValidationError("Invalid file type", { field: "file" });
+}
+
+function notSupported(field) {
+    return new errors.GofileValidationError(`${field} is only supported by the Node.js client.`, { field });
+}
+
+/**
+ * Client for runtimes with `fetch`. Requests go through `fetch` and the
+ * runtime's own `FormData`; the headers that only make sense outside a
+ * browser are left out. Encryption, deduplication and the upload ledger are not available.
+ */
+class GofileClient extends BaseClient {
+    /**
+     * @param {ClientOptions} [options] - Client configuration
+     */
+    constructor(options = {}) {
+        super({ ...options, browserHeaders: false });
+        this.headers = { ...options.headers };
+        this.downloadHeaders = {};
+        this.transport = options.transport || fetchTransport();
+    }
+
+    /**
+     * Uploads every file into a single upload, see the Node.js client.
+     * Progress is reported once per file, as `fetch` does not report upload
+     * progress. Results carry no `md5`, WebCrypto has no MD5.
+     * @param {FileUpload[]} files - List of files to upload
+     * @param {UploadOptions} options - Options for the upload
+     * @returns {Promise<UploadResult>} ID, removal code and per-file results of the upload
+     */
+    async uploadFiles(files, options = {}) {
+        return super.uploadFiles(files, options);
+    }
+
+    /**
+     * Rejects the options only the Node.js client supports
+     * @param {FileUpload[]} files - Files to upload
+     * @param {UploadOptions} options - Options for the upload
+     * @returns {Promise<UploadPlan>}
+     */
+    async planUpload(files, options) {
+        if (options.encrypt) {
+            throw notSupported("encrypt");
+        }
+        if (options.dedupe) {
+            throw notSupported("dedupe");
+        }
+        return {
+            files: files.map(f => {
+                const name = f.fn || (f.file && f.file.name) || undefined;
+                return { name, storedName: name, size: isBlob(f.file) ? f.file.size : isBinary(f.file) ? f.file.byteLength : undefined };
+            }),
+            encrypted: false,
+            // Streams are read once, and the Blob is sent again on retries
+            blobs: [],
+        };
+    }
+
+    /**
+     * Sends one attempt of a file as a `FormData` body
+     * @param {FileUpload} f - File to upload
+     * @param {number} index - Index of the file in the upload
+     * @param {UploadAttempt} attempt - Where and how to send it
+     * @returns {Promise<{data: object}>}
+     */
+    async sendFile(f, index, { plan, tracker, server, fields, signal }) {
+        if (!plan.blobs[index]) {
+            plan.blobs[index] = await toBlob(typeof f.file === "function" ? await f.file() : f.file);
+        }
+        const blob = plan.blobs[index];
+        const fd = new FormData();
+        fd.append("file", blob, plan.files[index].storedName || "file");
+        for (const [key, value] of fields) {
+            fd.append(key, String(value));
+        }
+        const data = await this.send("Uploading file", {
+            url: `${this.serverBaseUrl(server)}/uploadFile`,
+            method: "POST",
+            data: fd,
+            signal,
+        });
+        tracker.setTotal(index, blob.size);
+        tracker.add(index, blob.size);
+        return { data };
+    }
+
+    /**
+     * @param {Blob|ArrayBuffer|Uint8Array|ReadableStream} file - File data
+     * @param {string|UploadOptions} [fileName] - File name (required unless `file` is a `File`), or the options when omitted
+     * @param {UploadOptions} [options] - Options for the upload
+     * @returns {Promise<UploadResult>} ID and removal code of the uploaded file
+     */
+    async uploadFile(arg1, arg2, arg3) {
+        if (!isBlob(arg1) && !isBinary(arg1) && !isWebStream(arg1)) {
+            throw new errors.GofileValidationError("Invalid file type", { field: "file" });
+        }
+        if (arg2 && arg2 !== "" && typeof arg2 !== "object") {
+            return this.uploadFiles([{ file: arg1, fn: arg2 }], arg3);
+        }
+        if (!arg1.name) {
+            throw new errors.GofileValidationError("Filename must not be blank unless a File is given.", { field: "fileName" });
+        }
+        return this.uploadFiles([{ file: arg1 }], arg2);
+    }
+
+    /**
+     *
+     * @param {string} code - Upload ID
+     * @param {string} [p] - Passphrase used to secure the upload
+     * @param {"arraybuffer"|"blob"|"stream"} [responseType] - Return type
+     * @param {object} [opts]
+     * @param {ProgressCallback} [opts.onProgress] - Receives progress reports. With streams, progress follows the reading of the returned streams.
+     * @returns {Promise<ArrayBuffer[]>|Promise<Blob[]>|Promise<ReadableStream[]>} One entry per file of the upload, depending on the responseType parameter
+     */
+    async downloadFiles(code, p = "", responseType = "arraybuffer", opts = {}) {
+        if (!["arraybuffer", "blob", "stream"].includes(responseType)) {
+            throw new errors.GofileValidationError(`Invalid response type ${responseType}`, { field: "responseType" });
+        }
+        if (opts.decrypt) {
+            throw notSupported("decrypt");
+        }
+        const uploadInfo = await this.getUploadInfo(code, p);
+
+        const files = Object.keys(uploadInfo.files).map(k => uploadInfo.files[k]);
+        const tracker = opts.onProgress
+            ? new ProgressTracker(
+                "download",
+                files.map(f => ({ name: f.name, total: f.size })),
+                opts.onProgress
+            )
+            : undefined;
+
+        const reqs = files.map((f, index) =>
+            this.withRetry(`Downloading ${f.name}`, async () => {
+                const res = await this.requestFile(f, {
+                    responseType: tracker ? "stream" : responseType,
+                });
+                if (!tracker) {
+                    return res.data;
+                }
+
+                tracker.reset(index);
+                const length = Number(res.headers && res.headers["content-length"]);
+                if (length) {
+                    tracker.setTotal(index, length);
+                }
+                const body = countStream(res.data, chunk => tracker.add(index, chunk.byteLength), () => tracker.done(index));
+                if (responseType === "stream") {
+                    return body;
+                }
+                try {
+                    const reply = new Response(body);
+                    return responseType === "blob" ? await reply.blob() : await reply.arrayBuffer();
+                } catch (e) {
+                    throw errors.transportError(`Downloading ${f.name}`, e);
+                }
+            })
+        );
+
+        return Promise.all(reqs);
+    }
+}
+
+const defaultClient = new GofileClient();
+
+/**
+ * Uploads all files into a single upload
+ * @param {FileUpload[]} files - List of files to upload
+ * @param {UploadOptions} options - Options for the upload
+ * @returns {Promise<UploadResult>} ID, removal code and per-file results of the upload
+ */
+async function uploadFiles(files, options = {}) {
+    return defaultClient.uploadFiles(files, options);
+}
+
+/**
+ * @param {Blob|ArrayBuffer|Uint8Array|ReadableStream} file - File data
+ * @param {string|UploadOptions} [fileName] - File name (required unless `file` is a `File`), or the options when omitted
+ * @param {UploadOptions} [options] - Options for the upload
+ * @returns {Promise<UploadResult>} ID and removal code of the uploaded file
+ */
+async function uploadFile(arg1, arg2, arg3) {
+    return defaultClient.uploadFile(arg1, arg2, arg3);
+}
+
+/**
+ *
+ * @param {string} code - Upload ID
+ * @param {string} removalCode - Removal code of the upload
+ */
+async function removeUpload(code, removalCode) {
+    return defaultClient.removeUpload(code, removalCode);
+}
+
+/**
+ *
+ * @param {string} code - Upload ID
+ * @param {string} [p] - Passphrase used to secure the upload
+ * @returns {Promise<UploadInfo>}
+ */
+async function getUploadInfo(code, p = "") {
+    return defaultClient.getUploadInfo(code, p);
+}
+
+/**
+ *
+ * @param {string} code - Upload ID
+ * @param {string} [p] - Passphrase used to secure the upload
+ * @param {"arraybuffer"|"blob"|"stream"} [responseType] - Return type
+ * @param {object} [opts]
+ * @param {ProgressCallback} [opts.onProgress] - Receives progress reports
+ * @returns {Promise<ArrayBuffer[]>|Promise<Blob[]>|Promise<ReadableStream[]>} One entry per file of the upload, depending on the responseType parameter
+ */
+async function downloadFiles(code, p = "", responseType = "arraybuffer", opts = {}) {
+    return defaultClient.downloadFiles(code, p, responseType, opts);
+}
+
+module.exports = {
+    GofileClient,
+    GofileError: errors.GofileError,
+    GofileValidationError: errors.GofileValidationError,
+    GofileApiError: errors.GofileApiError,
+    GofileNotFoundError: errors.GofileNotFoundError,
+    GofilePasswordError: errors.GofilePasswordError,
+    GofileNetworkError: errors.GofileNetworkError,
+    GofileUploadError: errors.GofileUploadError,
+    GofileDownloadError: errors.GofileDownloadError,
+    GofileIntegrityError: errors.GofileIntegrityError,
+    GofileAbortError: errors.GofileAbortError,
+    fetchTransport,
+    sha256hash,
+    normalizeUploadOptions,
+    checkUploadOptions,
+    uploadFile,
+    uploadFiles,
+    removeUpload,
+    getUploadInfo,
+    downloadFiles,
+};
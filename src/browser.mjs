@@ -0,0 +1,27 @@
+// ES module entry for browsers, Deno and edge runtimes, re-exporting the CommonJS one
+import gofile from "./browser.js";
+
+export const {
+    GofileClient,
+    GofileError,
+    GofileValidationError,
+    GofileApiError,
+    GofileNotFoundError,
+    GofilePasswordError,
+    GofileNetworkError,
+    GofileUploadError,
+    GofileDownloadError,
+    GofileIntegrityError,
+    GofileAbortError,
+    fetchTransport,
+    sha256hash,
+    normalizeUploadOptions,
+    checkUploadOptions,
+    uploadFile,
+    uploadFiles,
+    removeUpload,
+    getUploadInfo,
+    downloadFiles,
+} = gofile;
+
+export default gofile;
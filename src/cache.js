@@ -0,0 +1,87 @@
+/**
+ * Lifetimes of cached results, in milliseconds. 0 disables the cache of that kind.
+ * @typedef {object} CacheOptions
+ * @property {number} [server] - Result of `getServer` (default 60000)
+ * @property {number} [uploadInfo] - Results of `getUploadInfo`, per upload and password (default 30000)
+ */
+
+const DEFAULT_CACHE = {
+    server: 60000,
+    uploadInfo: 30000,
+};
+
+/**
+ * Normalizes the `cache` option of a client. Caching is off unless asked for.
+ * @param {CacheOptions|boolean} [cache] - `true` for the default lifetimes
+ * @returns {{server: number, uploadInfo: number}}
+ */
+function normalizeCacheOptions(cache) {
+    if (!cache) {
+        return { server: 0, uploadInfo: 0 };
+    }
+    return cache === true ? { ...DEFAULT_CACHE } : { ...DEFAULT_CACHE, ...cache };
+}
+
+/**
+ * Map whose entries expire. Pending lookups are cached as well, so that
+ * concurrent callers share one request; failed lookups are dropped.
+ */
+class TtlCache {
+    /**
+     * @param {number} ttl - Lifetime of the entries in milliseconds
+     */
+    constructor(ttl) {
+        this.ttl = ttl;
+        this.entries = new Map();
+    }
+
+    /**
+     * Returns the cached value of `key`, or caches what `lookup` resolves to
+     * @param {string} key - Cache key
+     * @param {function(): Promise<*>} lookup - Fetches the value
+     * @param {boolean} [fresh] - Skip the cached value, still caching the new one
+     * @returns {Promise<*>}
+     */
+    wrap(key, lookup, fresh = false) {
+        if (this.ttl <= 0) {
+            return lookup();
+        }
+        const cached = this.entries.get(key);
+        if (!fresh && cached && cached.expiresAt > Date.now()) {
+            return cached.value;
+        }
+
+        const entry = { value: undefined, expiresAt: Infinity };
+        entry.value = lookup().then(
+            value => {
+                entry.expiresAt = Date.now() + this.ttl;
+                return value;
+            },
+            e => {
+                if (this.entries.get(key) === entry) {
+                    this.entries.delete(key);
+                }
+                throw e;
+            }
+        );
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * Drops the entries whose key matches
+     * @param {function(string): boolean} [match] - Selects the keys to drop (default: all)
+     */
+    invalidate(match) {
+        for (const key of [...this.entries.keys()]) {
+            if (!match || match(key)) {
+                this.entries.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = {
+    TtlCache,
+    normalizeCacheOptions,
+};
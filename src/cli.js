@@ -0,0 +1,562 @@
+const fs = require("fs");
+const path = require("path");
+
+const { GofileClient } = require("./client");
+const errors = require("./errors");
+const { isGlob } = require("./glob");
+const { FileHashStore } = require("./dedupe");
+const { UploadLedger } = require("./ledger");
+
+/** @typedef {import("./encryption").EncryptionOptions} EncryptionOptions */
+
+/**
+ * Exit codes of the command-line tool
+ * @enum {number}
+ */
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,
+    USAGE: 2,
+    NOT_FOUND: 3,
+    PASSWORD: 4,
+    NETWORK: 5,
+    API: 6,
+    INTEGRITY: 7,
+    PARTIAL: 8,
+};
+
+const USAGE = `Usage: gofile <command> [options]
+
+Commands:
+  upload <paths...>          Upload files into a single upload ("-" or no path reads stdin).
+                             A single directory or glob is uploaded recursively.
+  info <code>                Show the files of an upload
+  download <code> [-o dir]   Download the files of an upload into a directory
+  rm <code> [removalCode]    Remove an upload (the removal code is looked up in the ledger when omitted)
+  rm --tag <tag>|--file <glob>|--expired
+                             Remove the matching uploads of the ledger
+  ls                         List the uploads recorded in the ledger
+  prune                      Forget expired uploads of the ledger
+
+Upload options:
+  --expire <when>            Expiration of the upload: epoch time, ISO 8601 date or duration (e.g. 7d, 12h)
+  --password <password>      Password for accessing the upload
+  --description <text>       Description of the upload
+  --tags <tags>              Tags of the upload, separated by commas
+  --ac <code>                Admin code of the upload
+  --email <email>            Email the upload will be stored on
+  --name <name>              File name of data read from stdin (default "stdin")
+  --archive                  Upload a directory or glob as one zip
+  --ignore <pattern>         Skip matching files of a directory or glob (repeatable)
+  --dedupe                   Reuse the links of files uploaded before and still online
+                             (hashes are kept next to the ledger)
+  --encrypt-names            Also encrypt file names, with --passphrase or --key
+
+Info and download options:
+  --password <password>      Password of the upload
+  -o, --output <dir>         Destination directory (default ".")
+  --include <glob>           Only download matching files (repeatable)
+  --exclude <glob>           Skip matching files (repeatable)
+  --concurrency <n>          Files downloaded at once (default 3)
+  --no-verify                Do not check MD5 hashes
+  --no-resume                Do not resume partial downloads
+  --allow-plaintext          With --passphrase or --key, keep files that are not encrypted as they are
+
+Encryption options:
+  --passphrase <text>        Encrypt uploads, or decrypt downloads, with a key derived from the passphrase
+  --key <key>                Encrypt uploads, or decrypt downloads, with a 32-byte key in hex or base64
+
+Ledger options:
+  --ledger                   Record uploads in the ledger, and forget the ones removed
+  --ledger-dir <dir>         Ledger directory (default $GOFILE_LEDGER_DIR or ~/.gofile), implies --ledger
+  --tag <tag>                Select uploads having the tag (repeatable)
+  --file <glob>              Select uploads having a matching file
+  --expired                  Select expired uploads
+
+Global options:
+  --json                     Print machine-readable JSON
+  -q, --quiet                Do not print progress
+  -v, --verbose              Print diagnostic messages to stderr
+  --api-url <url>            API origin used to look up servers
+  --server-url <template>    Upload server URL, "{server}" is replaced by the server name
+  --timeout <ms>             Request timeout
+  --retries <n>              Attempts per request
+  -h, --help                 Show this help
+  --version                  Show the version
+`;
+
+const VALUE_OPTIONS = [
+    "expire",
+    "password",
+    "description",
+    "tags",
+    "ac",
+    "email",
+    "name",
+    "file",
+    "output",
+    "include",
+    "exclude",
+    "ignore",
+    "tag",
+    "ledger-dir",
+    "passphrase",
+    "key",
+    "concurrency",
+    "api-url",
+    "server-url",
+    "timeout",
+    "retries",
+];
+const REPEATABLE_OPTIONS = ["include", "exclude", "ignore", "tag"];
+const FLAG_OPTIONS = ["json", "quiet", "verbose", "help", "version", "no-verify", "no-resume", "archive", "dedupe", "ledger", "expired", "encrypt-names", "allow-plaintext"];
+const SHORT_OPTIONS = { o: "output", q: "quiet", v: "verbose", h: "help" };
+
+/**
+ * Splits command-line arguments into positionals and options
+ * @param {string[]} argv - Arguments, without the node binary and script
+ * @returns {{args: string[], opts: object}}
+ */
+function parseArgs(argv) {
+    const args = [];
+    const opts = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "--") {
+            args.push(...argv.slice(i + 1));
+            break;
+        }
+        if (arg === "-" || !arg.startsWith("-")) {
+            args.push(arg);
+            continue;
+        }
+
+        let name;
+        let value;
+        if (arg.startsWith("--")) {
+            [name, value] = arg.slice(2).split(/=(.*)/s);
+        } else {
+            name = SHORT_OPTIONS[arg.slice(1)];
+            if (!name) {
+                throw new errors.GofileValidationError(`Unknown option ${arg}`, { field: arg, usage: true });
+            }
+        }
+
+        if (FLAG_OPTIONS.includes(name)) {
+            if (value !== undefined) {
+                throw new errors.GofileValidationError(`Option --${name} does not take a value`, { field: name, usage: true });
+            }
+            opts[name] = true;
+        } else if (VALUE_OPTIONS.includes(name)) {
+            if (value === undefined) {
+                if (i + 1 >= argv.length) {
+                    throw new errors.GofileValidationError(`Option --${name} needs a value`, { field: name, usage: true });
+                }
+                value = argv[++i];
+            }
+            if (REPEATABLE_OPTIONS.includes(name)) {
+                opts[name] = (opts[name] || []).concat(value);
+            } else {
+                opts[name] = value;
+            }
+        } else {
+            throw new errors.GofileValidationError(`Unknown option ${arg}`, { field: name, usage: true });
+        }
+    }
+    return { args, opts };
+}
+
+/**
+ * Reads an option holding a whole number
+ * @param {object} opts - Parsed options
+ * @param {string} name - Option name
+ * @param {number} min - Smallest value accepted
+ * @returns {number|undefined} Undefined when the option is not given
+ */
+function integerOption(opts, name, min) {
+    if (opts[name] === undefined) {
+        return undefined;
+    }
+    const n = Number(opts[name]);
+    if (opts[name].trim() === "" || !Number.isInteger(n) || n < min) {
+        throw new errors.GofileValidationError(`Option --${name} must be a whole number of at least ${min}`, { field: name, usage: true });
+    }
+    return n;
+}
+
+/**
+ * Reads the encryption options
+ * @param {object} opts - Parsed options
+ * @returns {EncryptionOptions|undefined} Undefined when neither --passphrase nor --key is given
+ */
+function encryptionOption(opts) {
+    if (opts.passphrase === undefined && opts.key === undefined) {
+        return undefined;
+    }
+    if (opts.passphrase !== undefined && opts.key !== undefined) {
+        throw new errors.GofileValidationError("Options --passphrase and --key cannot be combined", { field: "key", usage: true });
+    }
+    return opts.key !== undefined ? { key: opts.key } : { passphrase: opts.passphrase };
+}
+
+/**
+ * Maps an error to the exit code of the command-line tool
+ * @param {Error} e - Error the command failed with
+ * @returns {number}
+ */
+function exitCode(e) {
+    if (e instanceof errors.GofileValidationError) {
+        return EXIT_CODES.USAGE;
+    }
+    if (e instanceof errors.GofileNotFoundError) {
+        return EXIT_CODES.NOT_FOUND;
+    }
+    if (e instanceof errors.GofilePasswordError) {
+        return EXIT_CODES.PASSWORD;
+    }
+    if (e instanceof errors.GofileNetworkError) {
+        return EXIT_CODES.NETWORK;
+    }
+    if (e instanceof errors.GofileApiError) {
+        return EXIT_CODES.API;
+    }
+    if (e instanceof errors.GofileIntegrityError) {
+        return EXIT_CODES.INTEGRITY;
+    }
+    if (e instanceof errors.GofileUploadError || e instanceof errors.GofileDownloadError) {
+        const failed = e.result.files.find(f => f.error);
+        return failed ? exitCode(failed.error) : EXIT_CODES.ERROR;
+    }
+    return EXIT_CODES.ERROR;
+}
+
+/**
+ * JSON replacer turning errors into plain objects
+ */
+function jsonReplacer(key, value) {
+    if (value instanceof Error) {
+        const res = { name: value.name, message: value.message };
+        for (const prop of ["status", "httpStatus", "field", "index", "problems", "code", "file", "expected", "actual"]) {
+            if (value[prop] !== undefined) {
+                res[prop] = value[prop];
+            }
+        }
+        return res;
+    }
+    return value;
+}
+
+function formatBytes(bytes) {
+    if (bytes === undefined || bytes === null || isNaN(bytes)) {
+        return "?";
+    }
+    const units = ["B", "KB", "MB", "GB", "TB"];
+    let i = 0;
+    let n = Number(bytes);
+    while (n >= 1024 && i < units.length - 1) {
+        n /= 1024;
+        i++;
+    }
+    return `${i === 0 ? n : n.toFixed(1)} ${units[i]}`;
+}
+
+/**
+ * Writes progress reports on a single, rewritten line. Call `end()` on the
+ * returned callback to close the line.
+ * @param {stream.Writable} out - Stream to write to, usually stderr
+ * @returns {ProgressCallback}
+ */
+function progressPrinter(out) {
+    let open = false;
+    const print = e => {
+        const { overall } = e;
+        const percent = overall.total ? ` ${((overall.transferred / overall.total) * 100).toFixed(1)}%` : "";
+        const eta = overall.eta !== undefined ? `, ${Math.ceil(overall.eta)}s left` : "";
+        out.write(
+            `\r${e.direction === "upload" ? "Uploading" : "Downloading"} ${overall.completed}/${overall.files}:` +
+                ` ${formatBytes(overall.transferred)}/${formatBytes(overall.total)}${percent} (${formatBytes(overall.rate)}/s${eta})\x1b[K`
+        );
+        open = true;
+    };
+    print.end = () => {
+        if (open) {
+            out.write("\n");
+            open = false;
+        }
+    };
+    return print;
+}
+
+function statPath(p) {
+    try {
+        return fs.statSync(p);
+    } catch (e) {
+        throw new errors.GofileValidationError(`Cannot read ${p}: ${e.message}`, { field: "paths", usage: true });
+    }
+}
+
+const commands = {
+    async upload(client, args, opts, io) {
+        const files = [];
+        const paths = args.length === 0 && !io.stdin.isTTY ? ["-"] : args;
+        if (paths.length === 0) {
+            throw new errors.GofileValidationError("upload needs at least one path, or data on stdin", { field: "paths", usage: true });
+        }
+        const tree = paths.length === 1 && paths[0] !== "-" && (isGlob(paths[0]) || statPath(paths[0]).isDirectory());
+        if (!tree) {
+            for (const p of paths) {
+                if (p === "-") {
+                    files.push({ file: io.stdin, fn: opts.name || "stdin" });
+                    continue;
+                }
+                const st = statPath(p);
+                if (!st.isFile()) {
+                    throw new errors.GofileValidationError(`${p} is not a file, directories must be uploaded on their own`, { field: "paths", usage: true });
+                }
+                files.push({ file: () => fs.createReadStream(p), fn: path.basename(p), size: st.size });
+            }
+        }
+
+        const options = {};
+        for (const key of ["password", "description", "tags", "ac", "email"]) {
+            if (opts[key] !== undefined) {
+                options[key] = opts[key];
+            }
+        }
+        if (opts.expire !== undefined) {
+            options.expire = opts.expire;
+        }
+        if (opts.dedupe) {
+            options.dedupe = true;
+        }
+        const encrypt = encryptionOption(opts);
+        if (encrypt) {
+            options.encrypt = { ...encrypt, fileName: !!opts["encrypt-names"] };
+        } else if (opts["encrypt-names"]) {
+            throw new errors.GofileValidationError("Option --encrypt-names needs --passphrase or --key", { field: "encrypt-names", usage: true });
+        }
+        if (io.progress) {
+            options.onProgress = io.progress;
+        }
+
+        const result = tree
+            ? await client.uploadPath(paths[0], { ...options, archive: !!opts.archive, ignore: opts.ignore })
+            : await client.uploadFiles(files, options);
+        return {
+            result,
+            exitCode: result.failed > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK,
+            text: [
+                `Code:         ${result.code}`,
+                `Removal code: ${result.removalCode}`,
+                ...(result.adminCode ? [`Admin code:   ${result.adminCode}`] : []),
+                "",
+                ...result.files.map(f => `  ${f.status.padEnd(9)} ${f.name || "(unnamed)"}  ${f.error ? f.error.message : formatBytes(f.size)}`),
+            ],
+        };
+    },
+
+    async info(client, args, opts) {
+        if (args.length !== 1) {
+            throw new errors.GofileValidationError("info needs exactly one upload code", { field: "code", usage: true });
+        }
+        const info = await client.getUploadInfo(args[0], opts.password || "");
+        const files = Object.keys(info.files || {}).map(k => info.files[k]);
+        return {
+            result: info,
+            text: [
+                `Code:        ${info.code}`,
+                `Server:      ${info.server}`,
+                `Uploaded:    ${info.uploadTime ? new Date(info.uploadTime * 1000).toISOString() : "?"}`,
+                `Total size:  ${formatBytes(info.totalSize)}`,
+                `Views:       ${info.views}`,
+                "",
+                ...files.map(f => `  ${formatBytes(f.size).padStart(10)}  ${f.md5 || ""}  ${f.name}`),
+            ],
+        };
+    },
+
+    async download(client, args, opts, io) {
+        if (args.length !== 1) {
+            throw new errors.GofileValidationError("download needs exactly one upload code", { field: "code", usage: true });
+        }
+        const result = await client.downloadToDirectory(args[0], opts.output || ".", {
+            password: opts.password,
+            include: opts.include,
+            exclude: opts.exclude,
+            concurrency: integerOption(opts, "concurrency", 1),
+            verify: !opts["no-verify"],
+            resume: !opts["no-resume"],
+            decrypt: encryptionOption(opts),
+            allowPlaintext: !!opts["allow-plaintext"],
+            onProgress: io.progress,
+        });
+        return {
+            result,
+            exitCode: result.failed > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK,
+            text: result.files.map(f => `  ${f.status.padEnd(10)} ${f.path}${f.error ? `  ${f.error.message}` : ""}`),
+        };
+    },
+
+    async rm(client, args, opts, io) {
+        const filter = ledgerFilter(opts);
+        if (args.length === 0 && Object.keys(filter).length > 0) {
+            const results = await io.ledger.remove(client, filter);
+            return {
+                result: results,
+                exitCode: results.some(r => !r.removed) ? EXIT_CODES.PARTIAL : EXIT_CODES.OK,
+                text: results.length === 0
+                    ? ["No matching uploads"]
+                    : results.map(r => (r.removed ? `Removed upload ${r.code}` : `Failed to remove ${r.code}: ${r.error.message}`)),
+            };
+        }
+        if (args.length < 1 || args.length > 2) {
+            throw new errors.GofileValidationError("rm needs an upload code and its removal code, or ledger filters", { field: "code", usage: true });
+        }
+
+        let removalCode = args[1];
+        const lookedUp = removalCode === undefined;
+        if (lookedUp) {
+            const entry = await io.ledger.get(args[0]);
+            if (!entry) {
+                throw new errors.GofileValidationError(`No removal code given and ${args[0]} is not in the ledger`, { field: "removalCode", usage: true });
+            }
+            removalCode = entry.removalCode;
+        }
+        const result = await client.removeUpload(args[0], removalCode);
+        if (lookedUp && !client.ledger) {
+            // With --ledger the client forgets removed uploads itself
+            await io.ledger.forget([args[0]]);
+        }
+        return {
+            result: { code: args[0], removed: true, response: result },
+            text: [`Removed upload ${args[0]}`],
+        };
+    },
+
+    async ls(client, args, opts, io) {
+        const entries = await io.ledger.list(ledgerFilter(opts));
+        return {
+            result: entries,
+            text: entries.length === 0
+                ? ["No uploads recorded"]
+                : entries.map(e => {
+                    const expires = e.expiresAt ? `expires ${new Date(e.expiresAt).toISOString()}` : "no expiry";
+                    const tags = e.tags.length > 0 ? `  [${e.tags.join(", ")}]` : "";
+                    return `${e.code}  ${e.removalCode}  ${new Date(e.uploadedAt).toISOString()}  ${expires}  ${e.files.length} file(s)${tags}`;
+                }),
+        };
+    },
+
+    async prune(client, args, opts, io) {
+        const pruned = await io.ledger.prune();
+        return {
+            result: pruned,
+            text: [`Forgot ${pruned.length} expired upload(s)`],
+        };
+    },
+};
+
+/**
+ * Builds a ledger filter out of the command-line options
+ * @param {object} opts - Parsed options
+ * @returns {LedgerFilter}
+ */
+function ledgerFilter(opts) {
+    const filter = {};
+    if (opts.tag) {
+        filter.tag = opts.tag;
+    }
+    if (opts.file) {
+        filter.name = opts.file;
+    }
+    if (opts.expired) {
+        filter.expired = true;
+    }
+    return filter;
+}
+
+/**
+ * Runs the command-line tool
+ * @param {string[]} argv - Arguments, without the node binary and script
+ * @param {object} [io] - Streams to use instead of the process ones
+ * @param {stream.Readable} [io.stdin]
+ * @param {stream.Writable} [io.stdout]
+ * @param {stream.Writable} [io.stderr]
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, io = {}) {
+    io = {
+        stdin: process.stdin,
+        stdout: process.stdout,
+        stderr: process.stderr,
+        ...io,
+    };
+    let json = argv.includes("--json");
+
+    try {
+        const { args, opts } = parseArgs(argv);
+        json = !!opts.json;
+
+        if (opts.version) {
+            io.stdout.write(`${require("../package.json").version}\n`);
+            return EXIT_CODES.OK;
+        }
+        const [name, ...rest] = args;
+        if (opts.help || !name || name === "help") {
+            io.stdout.write(USAGE);
+            return name || opts.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+        }
+        if (!Object.prototype.hasOwnProperty.call(commands, name)) {
+            throw new errors.GofileValidationError(`Unknown command ${name}`, { field: "command", usage: true });
+        }
+
+        const ledger = new UploadLedger({ dir: opts["ledger-dir"] });
+        const client = new GofileClient({
+            ledger: opts.ledger || opts["ledger-dir"] ? ledger : undefined,
+            hashStore: opts.dedupe ? new FileHashStore({ dir: opts["ledger-dir"] }) : undefined,
+            apiUrl: opts["api-url"],
+            serverUrl: opts["server-url"],
+            timeout: integerOption(opts, "timeout", 0),
+            retry: integerOption(opts, "retries", 1),
+            logger: opts.verbose ? {
+                debug: msg => io.stderr.write(`debug: ${msg}\n`),
+                info: msg => io.stderr.write(`info: ${msg}\n`),
+                warn: msg => io.stderr.write(`warn: ${msg}\n`),
+                error: msg => io.stderr.write(`error: ${msg}\n`),
+            } : undefined,
+        });
+        const progress = !opts.quiet && !json && io.stderr.isTTY ? progressPrinter(io.stderr) : undefined;
+
+        let out;
+        try {
+            out = await commands[name](client, rest, opts, { ...io, progress, ledger });
+        } finally {
+            if (progress) {
+                progress.end();
+            }
+        }
+        if (json) {
+            io.stdout.write(`${JSON.stringify(out.result, jsonReplacer, 2)}\n`);
+        } else {
+            io.stdout.write(`${out.text.join("\n")}\n`);
+        }
+        return out.exitCode || EXIT_CODES.OK;
+    } catch (e) {
+        if (json) {
+            io.stdout.write(`${JSON.stringify({ error: e }, jsonReplacer, 2)}\n`);
+        } else {
+            io.stderr.write(`gofile: ${e.message}\n`);
+            if (e.usage) {
+                io.stderr.write("Run \"gofile --help\" for usage.\n");
+            }
+        }
+        return exitCode(e);
+    }
+}
+
+module.exports = {
+    EXIT_CODES,
+    parseArgs,
+    exitCode,
+    run,
+};
@@ -0,0 +1,501 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const stream = require("stream");
+
+const axios = require("axios");
+const FormData = require("form-data");
+
+const { BaseClient, requireString, BROWSER_HEADERS, DEFAULT_HEADERS } = require("./base");
+const { MemoryHashStore } = require("./dedupe");
+const { GofileValidationError, transportError } = require("./errors");
+const { downloadToDirectory } = require("./download");
+const { KeyRing, createEncryption, createDecryptStream, decryptBuffer, isEncryptedName } = require("./encryption");
+const { UploadLedger } = require("./ledger");
+const { UploadQueue } = require("./queue");
+const { UploadWatcher } = require("./watch");
+const { uploadPath } = require("./upload");
+const { ProgressTracker, knownSize, chunked } = require("./progress");
+const { isReplayable } = require("./retry");
+const { isBlob, isWebStream, isBinary } = require("./web");
+
+/** @typedef {import("./base").ClientOptions} ClientOptions */
+/** @typedef {import("./base").Transport} Transport */
+/** @typedef {import("./index").FileUpload} FileUpload */
+/** @typedef {import("./index").UploadOptions} UploadOptions */
+/** @typedef {import("./index").UploadResult} UploadResult */
+/** @typedef {import("./progress").ProgressCallback} ProgressCallback */
+/** @typedef {import("./encryption").EncryptionOptions} EncryptionOptions */
+/** @typedef {import("./upload").UploadPathOptions} UploadPathOptions */
+/** @typedef {import("./upload").UploadPathResult} UploadPathResult */
+/** @typedef {import("./download").DownloadOptions} DownloadOptions */
+/** @typedef {import("./download").DownloadResult} DownloadResult */
+/** @typedef {import("./queue").UploadQueueOptions} UploadQueueOptions */
+/** @typedef {import("./watch").WatchOptions} WatchOptions */
+/** @typedef {import("./base").UploadPlan} UploadPlan */
+/** @typedef {import("./base").UploadAttempt} UploadAttempt */
+
+/**
+ * Wraps the data of a file so the bytes sent are counted by the tracker and
+ * hashed. Buffers are cut into chunks, streams are piped through a counter;
+ * the file name form-data would have inferred from a file stream is kept.
+ * @param {FileUpload} f - File to upload
+ * @param {ProgressTracker} tracker - Tracker of the upload
+ * @param {number} index - Index of the file in the upload
+ * @returns {{file: ReadableStream, fn: string|undefined, knownLength: number|undefined, md5: function(): Promise<string|undefined>}}
+ */
+function countBytes(f, tracker, index) {
+    const source = f.file instanceof stream.Readable ? f.file : chunked(f.file);
+    const hash = crypto.createHash("md5");
+    let finished = false;
+    const counter = tracker.counter(index, chunk => {
+        if (!finished) {
+            hash.update(chunk);
+        }
+    });
+    source.on("error", e => counter.destroy(e));
+    source.pipe(counter);
+
+    // The digest is taken once the whole file went through; a stream closed
+    // before its end has no hash
+    const digest = new Promise(resolve => {
+        counter.on("end", () => {
+            finished = true;
+            resolve(hash.digest("hex"));
+        });
+        counter.on("close", () => {
+            finished = true;
+            resolve(undefined);
+        });
+    });
+
+    /**
+     * Hash of the bytes sent, to be read once the request is answered. When
+     * the transport answered without reading the whole body, the rest of the
+     * file is dropped and there is no hash.
+     */
+    const md5 = async () => {
+        // `end` is emitted on the next tick after the last read
+        await new Promise(resolve => setImmediate(resolve));
+        if (!finished) {
+            source.destroy();
+            counter.destroy();
+        }
+        return digest;
+    };
+
+    return { file: counter, fn: fileName(f), knownLength: knownSize(f), md5 };
+}
+
+/**
+ * Hex-encoded SHA-256 hash of a string, as the API expects passwords
+ * @param {string} str - String to hash
+ * @returns {string}
+ */
+function sha256hash(str) {
+    return crypto.createHash("sha256").update(str).digest("hex");
+}
+
+/**
+ * Reads a stream to its end
+ * @param {ReadableStream} readable - Stream to read
+ * @returns {Promise<Buffer>}
+ */
+function readAll(readable) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        readable.on("data", chunk => chunks.push(chunk));
+        readable.on("error", reject);
+        readable.on("end", () => resolve(Buffer.concat(chunks)));
+    });
+}
+
+/**
+ * Name a file is uploaded under: the given name, or the one of a `File` or inferred from a file stream
+ * @param {FileUpload} f - File to upload
+ * @returns {string|undefined}
+ */
+function fileName(f) {
+    if (f.fn) {
+        return f.fn;
+    }
+    if (isBlob(f.file) && f.file.name) {
+        return f.file.name;
+    }
+    return f.file instanceof stream.Readable && typeof f.file.path === "string" ? path.basename(f.file.path) : undefined;
+}
+
+/**
+ * MD5 hash of some data
+ * @param {Buffer|ArrayBuffer|stream.Readable} data - Data to hash
+ * @returns {Promise<string>}
+ */
+function md5(data) {
+    const hash = crypto.createHash("md5");
+    if (!(data instanceof stream.Readable)) {
+        return Promise.resolve(hash.update(Buffer.from(data)).digest("hex"));
+    }
+    return new Promise((resolve, reject) => {
+        data.on("data", chunk => hash.update(chunk));
+        data.on("error", reject);
+        data.on("end", () => resolve(hash.digest("hex")));
+    });
+}
+
+/**
+ * MD5 hash of the data of a file, when it can be read without using up the
+ * data to upload: bytes, Blobs, files opened by a function and file streams.
+ * Other streams can only be hashed while they are sent.
+ * @param {FileUpload} f - File to upload
+ * @returns {Promise<string|undefined>}
+ */
+async function contentHash(f) {
+    if (typeof f.file === "function" || isBinary(f.file) || isBlob(f.file)) {
+        return md5(toNodeData(typeof f.file === "function" ? f.file() : f.file));
+    }
+    if (f.file instanceof stream.Readable && typeof f.file.path === "string" && f.file.start === undefined && f.file.end === Infinity) {
+        return md5(fs.createReadStream(f.file.path));
+    }
+    return undefined;
+}
+
+/**
+ * Turns the data of a file into a Buffer or a Node.js stream
+ * @param {Buffer|ArrayBuffer|Uint8Array|Blob|ReadableStream} data - File data
+ * @returns {Buffer|ArrayBuffer|stream.Readable}
+ */
+function toNodeData(data) {
+    if (isBlob(data)) {
+        return stream.Readable.fromWeb(data.stream());
+    }
+    if (isWebStream(data)) {
+        return stream.Readable.fromWeb(data);
+    }
+    if (ArrayBuffer.isView(data) && !Buffer.isBuffer(data)) {
+        return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    }
+    return data;
+}
+
+class GofileClient extends BaseClient {
+    /**
+     * @param {ClientOptions} [options] - Client configuration
+     */
+    constructor(options = {}) {
+        super(options);
+        this.proxy = options.proxy;
+        this.transport = options.transport || /** @type {Transport} */ (axios);
+        this.hashStore = options.hashStore || new MemoryHashStore();
+        if (options.ledger instanceof UploadLedger) {
+            this.ledger = options.ledger;
+        } else if (options.ledger) {
+            this.ledger = new UploadLedger(options.ledger === true ? {} : options.ledger);
+        }
+    }
+
+    /**
+     * Hashes a password with the crypto module, which every Node.js version has
+     * @param {string} p - Password
+     * @returns {string}
+     */
+    hashPassword(p) {
+        return sha256hash(p);
+    }
+
+    /**
+     * Sends a request through the configured transport. A `signal` in the
+     * config is turned into a cancel token for axios.
+     * @param {object} config - Request config
+     * @param {object} [extraHeaders] - Headers merged over the client headers
+     * @returns {Promise<{status: number, headers: object, data: *}>}
+     */
+    async request(config, extraHeaders = {}) {
+        const { signal } = config;
+        if (!signal || this.transport !== axios) {
+            return super.request(config, extraHeaders);
+        }
+
+        let onAbort;
+        const cancelToken = new axios.CancelToken(cancel => {
+            onAbort = () => cancel("The request was aborted");
+            if (signal.aborted) {
+                onAbort();
+            } else {
+                signal.addEventListener("abort", onAbort, { once: true });
+            }
+        });
+        try {
+            return await super.request({ ...config, cancelToken }, extraHeaders);
+        } finally {
+            signal.removeEventListener("abort", onAbort);
+        }
+    }
+
+    /**
+     * Checks the Node.js-only upload options and prepares the encryption
+     * @param {FileUpload[]} files - Files to upload
+     * @param {UploadOptions} options - Options for the upload
+     * @returns {Promise<UploadPlan>}
+     */
+    async planUpload(files, options) {
+        const store = options.dedupe === true ? this.hashStore : options.dedupe || undefined;
+        if (store && options.encrypt) {
+            throw new GofileValidationError("dedupe cannot be combined with encrypt.", { field: "dedupe" });
+        }
+        const encryption = options.encrypt ? await createEncryption(options.encrypt) : undefined;
+        return {
+            // Names and sizes as sent differ from the local ones when encrypting
+            files: files.map(f => ({
+                name: fileName(f),
+                storedName: encryption ? encryption.fileName(fileName(f)) : fileName(f),
+                size: encryption ? encryption.encryptedSize(knownSize(f)) : knownSize(f),
+            })),
+            encrypted: !!encryption,
+            encryption,
+            store,
+        };
+    }
+
+    /**
+     * Sends one attempt of a file as a multipart stream, encrypting it on the way
+     * @param {FileUpload} f - File to upload
+     * @param {number} index - Index of the file in the upload
+     * @param {UploadAttempt} attempt - Where and how to send it
+     * @returns {Promise<{data: object, md5: string|undefined}>}
+     */
+    async sendFile(f, index, { plan, tracker, server, fields, signal }) {
+        const source = toNodeData(typeof f.file === "function" ? f.file() : f.file);
+        let data = source;
+        if (plan.encryption) {
+            data = plan.encryption.encryptStream(data instanceof stream.Readable ? data : chunked(data));
+        }
+        const file = countBytes({ fn: plan.files[index].storedName, size: plan.files[index].size, file: data }, tracker, index);
+        const fd = this.uploadForm(file, fields);
+        let reply;
+        try {
+            reply = await this.send(
+                "Uploading file",
+                {
+                    url: `${this.serverBaseUrl(server)}/uploadFile`,
+                    method: "POST",
+                    headers: fd.getHeaders(),
+                    maxContentLength: Infinity,
+                    maxBodyLength: Infinity,
+                    data: fd,
+                    signal,
+                },
+                this.browserHeaders ? BROWSER_HEADERS : {}
+            );
+        } catch (e) {
+            // Release the file, e.g. when the request was aborted half way
+            if (source instanceof stream.Readable) {
+                source.destroy();
+            }
+            throw e;
+        }
+        return { data: reply, md5: await file.md5() };
+    }
+
+    /**
+     * Tells whether a value is file data this client can upload, Node.js streams included
+     * @param {*} data - Value to test
+     * @returns {boolean}
+     */
+    isFileData(data) {
+        return data instanceof stream.Readable || super.isFileData(data);
+    }
+
+    /**
+     * Tells whether a file can be sent again after a failed attempt
+     * @param {FileUpload} f - File to upload
+     * @returns {boolean}
+     */
+    isReplayableFile(f) {
+        return typeof f.file === "function" || isReplayable(f.file);
+    }
+
+    /**
+     * Closes the stream of a file that is not sent, releasing its file descriptor
+     * @param {FileUpload} f - File that was not uploaded
+     */
+    releaseFile(f) {
+        if (f.file instanceof stream.Readable) {
+            f.file.destroy();
+        }
+    }
+
+    /**
+     * MD5 hash of a file before it is sent, see {@link contentHash}
+     * @param {FileUpload} f - File to upload
+     * @returns {Promise<string|undefined>}
+     */
+    contentHash(f) {
+        return contentHash(f);
+    }
+
+    /**
+     * Builds the form sent to `uploadFile`
+     * @param {{file: ReadableStream, fn: string|undefined, knownLength: number|undefined}} file - File as returned by countBytes
+     * @param {Array<[string, string|number]>} fields - Extra form fields
+     * @returns {FormData}
+     */
+    uploadForm(file, fields) {
+        const fd = new FormData();
+        fd.append("file", file.file, {
+            filename: file.fn,
+            knownLength: file.knownLength,
+        });
+        for (const [key, value] of fields) {
+            fd.append(key, value);
+        }
+        return fd;
+    }
+
+    /**
+     * @param {Buffer|ArrayBuffer|Uint8Array|Blob|ReadableStream} file - File data: bytes, a `Blob`/`File`, or a Node.js or WHATWG stream
+     * @param {string|UploadOptions} [fileName] - File name (required for bytes and nameless Blobs), or the options when omitted
+     * @param {UploadOptions} [options] - Options for the upload
+     * @returns {Promise<UploadResult>} ID and removal code of the uploaded file
+     */
+    async uploadFile(arg1, arg2, arg3) {
+        const named = arg2 && arg2 !== "" && typeof arg2 !== "object";
+        if (isBinary(arg1) || (isBlob(arg1) && !arg1.name)) {
+            if (named) {
+                return this.uploadFiles([{ file: arg1, fn: arg2 }], arg3);
+            } else {
+                throw new GofileValidationError("Filename must not be blank when using a Buffer.", { field: "fileName" });
+            }
+        } else if (arg1 instanceof stream.Readable || isWebStream(arg1) || isBlob(arg1)) {
+            if (named) {
+                return this.uploadFiles([{ file: arg1, fn: arg2 }], arg3);
+            } else {
+                return this.uploadFiles([{ file: arg1 }], arg2);
+            }
+        } else {
+            throw new GofileValidationError("Invalid file type", { field: "file" });
+        }
+    }
+
+    /**
+     *
+     * @param {string} code - Upload ID
+     * @param {string} [p] - Passphrase used to secure the upload
+     * @param {"arraybuffer"|"stream"} [responseType] - Return type
+     * @param {object} [opts]
+     * @param {ProgressCallback} [opts.onProgress] - Receives progress reports. With streams, progress follows the reading of the returned streams.
+     * @param {EncryptionOptions} [opts.decrypt] - Passphrase or key decrypting the files that were uploaded with `encrypt`. Integrity failures reject, or make the returned streams fail, with a {@link GofileIntegrityError}.
+     * Every file has to be encrypted, unless `allowPlaintext` is set.
+     * @param {boolean} [opts.allowPlaintext] - With `decrypt`, return files that are not encrypted as they are. Files with an encrypted name still have to decrypt.
+     * @returns {Promise<Buffer[]>|Promise<ReadableStream[]>} Returns an array of Buffers or Streams depending on the responseType parameter. Represents all files in the upload.
+     */
+    async downloadFiles(code, p = "", responseType = "arraybuffer", opts = {}) {
+        if (responseType !== "arraybuffer" && responseType !== "stream") {
+            throw new GofileValidationError(`Invalid response type ${responseType}`, { field: "responseType" });
+        }
+        const keys = opts.decrypt ? new KeyRing(opts.decrypt) : undefined;
+        const uploadInfo = await this.getUploadInfo(code, p);
+
+        const files = Object.keys(uploadInfo.files).map(k => uploadInfo.files[k]);
+        const tracker = opts.onProgress
+            ? new ProgressTracker(
+                "download",
+                files.map(f => ({ name: f.name, total: f.size })),
+                opts.onProgress
+            )
+            : undefined;
+
+        const decrypt = async (f, data) => {
+            if (!keys) {
+                return data;
+            }
+            // Data without an encryption header only passes when the caller allows it,
+            // so that a damaged header is not mistaken for plaintext
+            const optional = !!opts.allowPlaintext && !isEncryptedName(f.name);
+            if (data instanceof stream.Readable) {
+                const decryptor = createDecryptStream(keys, optional);
+                data.on("error", e => decryptor.destroy(e));
+                return data.pipe(decryptor);
+            }
+            return decryptBuffer(Buffer.from(data), keys, optional);
+        };
+
+        const reqs = files.map((f, index) =>
+            this.withRetry(`Downloading ${f.name}`, async () => {
+                const res = await this.requestFile(f, {
+                    responseType: tracker ? "stream" : responseType,
+                });
+                if (!tracker) {
+                    return decrypt(f, res.data);
+                }
+
+                try {
+                    tracker.reset(index);
+                    const length = Number(res.headers && res.headers["content-length"]);
+                    if (length) {
+                        tracker.setTotal(index, length);
+                    }
+                    const counter = tracker.counter(index);
+                    res.data.on("error", e => counter.destroy(e));
+                    counter.on("end", () => tracker.done(index));
+                    res.data.pipe(counter);
+
+                    return decrypt(f, responseType === "stream" ? counter : await readAll(counter));
+                } catch (e) {
+                    throw transportError(`Downloading ${f.name}`, e);
+                }
+            })
+        );
+
+        return Promise.all(reqs);
+    }
+
+    /**
+     * Uploads a directory (recursively), a single file, or the files matching a glob
+     * @param {string} pathOrGlob - Directory, file or glob pattern
+     * @param {UploadPathOptions} [options] - Options for the upload
+     * @returns {Promise<UploadPathResult>}
+     */
+    async uploadPath(pathOrGlob, options = {}) {
+        return uploadPath(this, pathOrGlob, options);
+    }
+
+    /**
+     * Creates a queue running uploads through this client with a bounded concurrency
+     * @param {UploadQueueOptions} [options] - Queue options
+     * @returns {UploadQueue}
+     */
+    createUploadQueue(options = {}) {
+        return new UploadQueue(this, options);
+    }
+
+    /**
+     * Polls an upload and reports views, added and removed files, the
+     * approaching expiration and the disappearance of the upload
+     * @param {string} code - Upload ID
+     * @param {WatchOptions} [options] - Watch options
+     * @returns {UploadWatcher}
+     */
+    watchUpload(code, options = {}) {
+        requireString("code", code);
+        return new UploadWatcher(this, code, options);
+    }
+
+    /**
+     * Downloads every file of an upload into a directory, verifying their MD5
+     * hashes and resuming partial downloads
+     * @param {string} code - Upload ID
+     * @param {string} dir - Destination directory, created when missing
+     * @param {DownloadOptions} [opts] - Download options
+     * @returns {Promise<DownloadResult>}
+     */
+    async downloadToDirectory(code, dir, opts = {}) {
+        return downloadToDirectory(this, code, dir, opts);
+    }
+}
+
+module.exports = {
+    GofileClient,
+    sha256hash,
+    DEFAULT_HEADERS,
+    BROWSER_HEADERS,
+};
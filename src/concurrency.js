@@ -0,0 +1,30 @@
+/**
+ * Maps over items with at most `limit` calls of `fn` running at once
+ * @template T, R
+ * @param {T[]} items - Items to map
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {function(T, number): Promise<R>} fn - Called with each item and its index
+ * @returns {Promise<R[]>} Results in the order of the items
+ */
+async function mapLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = [];
+    for (let i = 0; i < Math.min(Math.max(1, limit), items.length); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+    return results;
+}
+
+module.exports = {
+    mapLimit,
+};
@@ -0,0 +1,121 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const util = require("util");
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+const rename = util.promisify(fs.rename);
+const mkdir = util.promisify(fs.mkdir);
+
+/**
+ * Where earlier content was uploaded
+ * @typedef {object} HashEntry
+ * @property {string} code - Upload ID holding the content
+ * @property {string} [removalCode] - Removal code of that upload
+ * @property {string} link - Download page of the upload
+ * @property {string} [name] - Name the content was uploaded under
+ * @property {number} size - Size of the content
+ * @property {number} uploadedAt - Upload time in milliseconds since the epoch
+ */
+/**
+ * Index of uploaded content by MD5 hash, used by the `dedupe` upload option.
+ * Any object with these methods can be used.
+ * @typedef {object} HashStore
+ * @property {function(string): Promise<HashEntry|undefined>} get - Looks up a hash
+ * @property {function(string, HashEntry): Promise<void>} set - Records where content was uploaded
+ * @property {function(string): Promise<void>} delete - Forgets a hash, e.g. once its upload is gone
+ */
+/**
+ * Options for creating a file-backed hash store
+ * @typedef {object} FileHashStoreOptions
+ * @property {string} [dir] - Directory holding the store (default `$GOFILE_LEDGER_DIR`, else `~/.gofile`)
+ * @property {string} [file] - File name of the store inside `dir` (default `hashes.json`)
+ */
+
+/**
+ * Hash store kept in memory, for the lifetime of the process
+ * @implements {HashStore}
+ */
+class MemoryHashStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async get(hash) {
+        return this.entries.get(hash);
+    }
+
+    async set(hash, entry) {
+        this.entries.set(hash, entry);
+    }
+
+    async delete(hash) {
+        this.entries.delete(hash);
+    }
+}
+
+/**
+ * Hash store kept in a JSON file, next to the upload ledger by default.
+ * The file is read on first use and rewritten atomically on every change.
+ * @implements {HashStore}
+ */
+class FileHashStore {
+    /**
+     * @param {FileHashStoreOptions} [options] - Where to keep the store
+     */
+    constructor(options = {}) {
+        this.dir = options.dir || process.env.GOFILE_LEDGER_DIR || path.join(os.homedir(), ".gofile");
+        this.file = path.join(this.dir, options.file || "hashes.json");
+        this.entries = undefined;
+        this.writing = Promise.resolve();
+    }
+
+    async load() {
+        if (!this.entries) {
+            let content;
+            try {
+                content = await readFile(this.file, "utf8");
+            } catch (e) {
+                if (e.code !== "ENOENT") {
+                    throw e;
+                }
+            }
+            this.entries = content ? JSON.parse(content) : {};
+        }
+        return this.entries;
+    }
+
+    save() {
+        // Writes run one after the other, each one saving the latest entries
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            await mkdir(this.dir, { recursive: true });
+            const tmp = `${this.file}.${process.pid}.tmp`;
+            await writeFile(tmp, JSON.stringify(this.entries, null, 2), { mode: 0o600 });
+            await rename(tmp, this.file);
+        });
+        return this.writing;
+    }
+
+    async get(hash) {
+        return (await this.load())[hash];
+    }
+
+    async set(hash, entry) {
+        (await this.load())[hash] = entry;
+        await this.save();
+    }
+
+    async delete(hash) {
+        const entries = await this.load();
+        if (entries[hash] !== undefined) {
+            delete entries[hash];
+            await this.save();
+        }
+    }
+}
+
+module.exports = {
+    MemoryHashStore,
+    FileHashStore,
+};
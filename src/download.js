@@ -0,0 +1,355 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const stream = require("stream");
+const util = require("util");
+
+const { GofileDownloadError, GofileIntegrityError, GofileValidationError, transportError } = require("./errors");
+const { KeyRing, createDecryptStream, decryptFileName, isEncryptedName } = require("./encryption");
+const { compileFilter } = require("./glob");
+const { mapLimit } = require("./concurrency");
+const { ProgressTracker } = require("./progress");
+
+/** @typedef {import("./glob").NameFilter} NameFilter */
+/** @typedef {import("./progress").ProgressCallback} ProgressCallback */
+/** @typedef {import("./client").GofileClient} GofileClient */
+/** @typedef {import("./encryption").EncryptionOptions} EncryptionOptions */
+
+const pipeline = util.promisify(stream.pipeline);
+const stat = util.promisify(fs.stat);
+const rename = util.promisify(fs.rename);
+const unlink = util.promisify(fs.unlink);
+const mkdir = util.promisify(fs.mkdir);
+
+/**
+ * Options for downloading an upload to a directory
+ * @typedef {object} DownloadOptions
+ * @property {string} [password] - Passphrase used to secure the upload
+ * @property {number} [concurrency] - Maximum number of files downloaded at once (default 3)
+ * @property {NameFilter} [include] - Only download files whose name matches
+ * @property {NameFilter} [exclude] - Do not download files whose name matches
+ * @property {boolean} [verify] - Check the MD5 hash of each file against the upload info (default true)
+ * @property {boolean} [resume] - Continue partial downloads left as `<name>.part` with Range requests (default true)
+ * @property {boolean} [skipExisting] - Skip files already on disk whose MD5 hash matches (default true). Files are not skipped when decrypting.
+ * @property {EncryptionOptions} [decrypt] - Passphrase or key decrypting the files, and their names, that were uploaded with `encrypt`.
+ * The encrypted data is downloaded and verified as `<name>.part`, then decrypted to `<name>`.
+ * @property {boolean} [allowPlaintext] - With `decrypt`, write files that are not encrypted as they are. Files with an encrypted name still have to decrypt.
+ * @property {ProgressCallback} [onProgress] - Receives progress reports
+ */
+/**
+ * Result of downloading an upload to a directory
+ * @typedef {object} DownloadResult
+ * @property {string} code - Upload ID
+ * @property {string} dir - Directory the files were written to
+ * @property {number} downloaded - Number of files downloaded or resumed
+ * @property {number} skipped - Number of files skipped because they were already on disk
+ * @property {number} failed - Number of files that failed to download
+ *
+ * @property {object[]} files - Result for each file of the upload
+ * @property {string} files.name - File name in the upload, decrypted with `decrypt`
+ * @property {string} files.path - Path the file was written to
+ * @property {"downloaded"|"resumed"|"skipped"|"excluded"|"failed"} files.status - What happened to the file
+ * @property {number} files.size - File size
+ * @property {string} [files.md5] - MD5 hash of the file as uploaded, which is the encrypted data when decrypting
+ * @property {Error} [files.error] - Reason the file failed to download
+ */
+
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+const MAX_NAME_BYTES = 255;
+
+/**
+ * Makes a file name from the API safe to use as a single path segment
+ * @param {string} name - File name
+ * @param {string} fallback - Name used when nothing is left of `name`
+ * @returns {string}
+ */
+function sanitizeFileName(name, fallback) {
+    let safe = String(name || "")
+        .replace(/[/\\]/g, "_")
+        .replace(/[\x00-\x1f\x7f<>:"|?*]/g, "_")
+        .replace(/[. ]+$/, "");
+
+    if (/^\.*$/.test(safe)) {
+        return fallback;
+    }
+    if (RESERVED_NAMES.test(safe)) {
+        safe = `_${safe}`;
+    }
+
+    if (Buffer.byteLength(safe) > MAX_NAME_BYTES) {
+        const ext = path.extname(safe).slice(0, 32);
+        let base = safe.slice(0, safe.length - ext.length);
+        while (Buffer.byteLength(base + ext) > MAX_NAME_BYTES) {
+            base = base.slice(0, -1);
+        }
+        safe = base + ext;
+    }
+    return safe;
+}
+
+/**
+ * Appends ` (n)` to names already taken, comparing case-insensitively
+ * @param {string} name - Sanitized file name
+ * @param {Set<string>} taken - Lowercased names already used
+ * @returns {string}
+ */
+function uniqueName(name, taken) {
+    const ext = path.extname(name);
+    const base = name.slice(0, name.length - ext.length);
+    let res = name;
+    for (let i = 1; taken.has(res.toLowerCase()); i++) {
+        res = `${base} (${i})${ext}`;
+    }
+    taken.add(res.toLowerCase());
+    return res;
+}
+
+async function sizeOf(file) {
+    try {
+        return (await stat(file)).size;
+    } catch (e) {
+        if (e.code === "ENOENT") {
+            return undefined;
+        }
+        throw e;
+    }
+}
+
+/**
+ * Feeds the content of a file into a hash
+ * @param {string} file - Path of the file
+ * @param {crypto.Hash} hash - Hash to update
+ * @returns {Promise<crypto.Hash>} The hash
+ */
+async function hashFile(file, hash) {
+    await pipeline(
+        fs.createReadStream(file),
+        new stream.Writable({
+            write(chunk, encoding, callback) {
+                hash.update(chunk);
+                callback();
+            },
+        })
+    );
+    return hash;
+}
+
+/**
+ * Decrypts a downloaded file to `target`. The encrypted file is removed once
+ * done, and kept when decrypting fails so that it is not downloaded again.
+ * @param {string} part - Path of the encrypted file
+ * @param {string} target - Destination path
+ * @param {KeyRing} keys - Keys to decrypt with
+ * @param {boolean} optional - Copy data that is not encrypted as it is
+ * @returns {Promise<void>}
+ */
+async function decryptFile(part, target, keys, optional) {
+    const tmp = `${target}.decrypting`;
+    try {
+        await pipeline(fs.createReadStream(part), createDecryptStream(keys, optional), fs.createWriteStream(tmp));
+    } catch (e) {
+        await unlink(tmp).catch(() => {});
+        throw e;
+    }
+    await rename(tmp, target);
+    await unlink(part);
+}
+
+/**
+ * Downloads one file to `target`, going through `<target>.part`
+ * @param {GofileClient} client - Client used for the request
+ * @param {object} f - File entry of the upload info
+ * @param {string} target - Destination path
+ * @param {DownloadOptions & {keys?: KeyRing}} opts - Download options, with the keys made from `decrypt`
+ * @param {ProgressTracker} tracker - Tracker of the download
+ * @param {number} index - Index of the file in the tracker
+ * @returns {Promise<{md5: string, resumed: boolean}>}
+ */
+async function fetchToFile(client, f, target, opts, tracker, index) {
+    const part = `${target}.part`;
+    let offset = opts.resume ? (await sizeOf(part)) || 0 : 0;
+    if (f.size !== undefined && offset > f.size) {
+        offset = 0;
+    }
+
+    let hash = crypto.createHash("md5");
+    if (offset > 0) {
+        await hashFile(part, hash);
+    }
+    tracker.reset(index);
+    tracker.add(index, offset);
+
+    if (f.size === undefined || offset < f.size) {
+        let res;
+        try {
+            res = await client.requestFile(f, {
+                responseType: "stream",
+                headers: offset > 0 ? { range: `bytes=${offset}-` } : {},
+            });
+        } catch (e) {
+            if (offset > 0 && e.httpStatus === 416) {
+                client.logger.info(`Server refused to resume ${f.name}, starting over`);
+                await unlink(part);
+                return fetchToFile(client, f, target, { ...opts, resume: false }, tracker, index);
+            }
+            throw e;
+        }
+
+        if (offset > 0 && res.status !== 206) {
+            client.logger.info(`Server does not support resuming ${f.name}, starting over`);
+            offset = 0;
+            hash = crypto.createHash("md5");
+            tracker.reset(index);
+        }
+
+        const hashing = new stream.Transform({
+            transform(chunk, encoding, callback) {
+                hash.update(chunk);
+                callback(null, chunk);
+            },
+        });
+        try {
+            await pipeline(res.data, hashing, tracker.counter(index), fs.createWriteStream(part, { flags: offset > 0 ? "a" : "w" }));
+        } catch (e) {
+            throw transportError(`Downloading ${f.name}`, e);
+        }
+    }
+
+    const md5 = hash.digest("hex");
+    if (opts.verify && f.md5 && md5 !== f.md5.toLowerCase()) {
+        await unlink(part);
+        if (offset > 0) {
+            // The partial file may have been corrupt, give it one fresh try
+            client.logger.warn(`MD5 mismatch for resumed ${f.name}, downloading it again`);
+            return fetchToFile(client, f, target, { ...opts, resume: false }, tracker, index);
+        }
+        throw new GofileIntegrityError(`MD5 mismatch for ${f.name}: expected ${f.md5}, got ${md5}`, {
+            file: f.name,
+            expected: f.md5,
+            actual: md5,
+        });
+    }
+
+    if (opts.keys) {
+        // Data without an encryption header only passes when the caller allows it,
+        // so that a damaged header is not mistaken for plaintext
+        await decryptFile(part, target, opts.keys, !!opts.allowPlaintext && !isEncryptedName(f.name));
+    } else {
+        await rename(part, target);
+    }
+    return { md5, resumed: offset > 0 };
+}
+
+/**
+ * Downloads every file of an upload into a directory
+ * @param {GofileClient} client - Client used for the requests
+ * @param {string} code - Upload ID
+ * @param {string} dir - Destination directory, created when missing
+ * @param {DownloadOptions} [opts] - Download options
+ * @returns {Promise<DownloadResult>}
+ */
+async function downloadToDirectory(client, code, dir, opts = {}) {
+    if (typeof dir !== "string" || dir === "") {
+        throw new GofileValidationError("dir must be a non-empty string.", { field: "dir" });
+    }
+    const concurrency = opts.concurrency === undefined ? 3 : opts.concurrency;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new GofileValidationError("Concurrency must be a positive integer.", { field: "concurrency" });
+    }
+    opts = {
+        verify: true,
+        resume: true,
+        skipExisting: true,
+        ...opts,
+        concurrency,
+        keys: opts.decrypt ? new KeyRing(opts.decrypt) : undefined,
+    };
+    const include = opts.include !== undefined ? compileFilter(opts.include) : () => true;
+    const exclude = opts.exclude !== undefined ? compileFilter(opts.exclude) : () => false;
+
+    const uploadInfo = await client.getUploadInfo(code, opts.password || "");
+    await mkdir(dir, { recursive: true });
+
+    const infos = Object.keys(uploadInfo.files).map(k => uploadInfo.files[k]);
+    // Files whose name does not decrypt are not downloaded, their content would not decrypt either
+    const names = await Promise.all(
+        infos.map(async f => {
+            try {
+                return { name: opts.keys ? await decryptFileName(f.name, opts.keys) : f.name };
+            } catch (e) {
+                client.logger.error(`Downloading ${f.name} failed: ${e.message}`);
+                return { name: f.name, error: e };
+            }
+        })
+    );
+    const taken = new Set();
+    const files = infos.map((f, i) => {
+        const { name, error } = names[i];
+        const entry = {
+            name,
+            path: path.join(dir, uniqueName(sanitizeFileName(name, `file-${i + 1}`), taken)),
+            status: include(name) && !exclude(name) ? "pending" : "excluded",
+            size: f.size,
+        };
+        if (error) {
+            entry.status = "failed";
+            entry.error = error;
+        }
+        return { info: f, entry };
+    });
+    const wanted = files.filter(f => f.entry.status === "pending");
+    const tracker = new ProgressTracker(
+        "download",
+        wanted.map(f => ({ name: f.entry.name, total: f.info.size })),
+        opts.onProgress
+    );
+
+    const result = {
+        code,
+        dir,
+        files: files.map(f => f.entry),
+        downloaded: 0,
+        skipped: 0,
+        failed: files.filter(f => f.entry.error).length,
+    };
+
+    await mapLimit(wanted, opts.concurrency, async ({ info, entry }, index) => {
+        try {
+            // Decrypted files on disk cannot be compared with the hash of the encrypted upload
+            if (opts.skipExisting && !opts.keys && info.md5 && (await sizeOf(entry.path)) !== undefined) {
+                const md5 = (await hashFile(entry.path, crypto.createHash("md5"))).digest("hex");
+                if (md5 === info.md5.toLowerCase()) {
+                    entry.status = "skipped";
+                    entry.md5 = md5;
+                    result.skipped++;
+                    tracker.add(index, info.size || 0);
+                    tracker.done(index);
+                    return;
+                }
+            }
+
+            const { md5, resumed } = await client.withRetry(`Downloading ${entry.name}`, () =>
+                fetchToFile(client, info, entry.path, opts, tracker, index)
+            );
+            tracker.done(index);
+            entry.status = resumed ? "resumed" : "downloaded";
+            entry.md5 = md5;
+            result.downloaded++;
+        } catch (e) {
+            client.logger.error(`Downloading ${entry.name} failed: ${e.message}`);
+            entry.status = "failed";
+            entry.error = e;
+            result.failed++;
+        }
+    });
+
+    if (result.failed > 0 && result.downloaded + result.skipped === 0) {
+        throw new GofileDownloadError(`Downloading files failed: ${result.files.filter(f => f.error).map(f => f.error.message).join("; ")}`, { result });
+    }
+    return result;
+}
+
+module.exports = {
+    downloadToDirectory,
+    sanitizeFileName,
+};
@@ -0,0 +1,408 @@
+const crypto = require("crypto");
+const stream = require("stream");
+const util = require("util");
+
+const { GofileIntegrityError, GofileValidationError } = require("./errors");
+
+const scrypt = util.promisify(crypto.scrypt);
+
+/**
+ * Client-side encryption settings. Exactly one of `passphrase` and `key` must be given.
+ * @typedef {object} EncryptionOptions
+ * @property {string} [passphrase] - Passphrase the key is derived from with scrypt
+ * @property {Buffer|string} [key] - 32-byte key, as a Buffer or a hex or base64 string
+ * @property {boolean} [fileName] - Also encrypt file names (default false)
+ * @property {number} [chunkSize] - Size of the plaintext chunks, each authenticated on its own (default 64 KiB)
+ */
+
+// Encrypted data: header, then chunks of AES-256-GCM ciphertext each followed by its
+// 16-byte tag. Every chunk but the last holds exactly `chunkSize` bytes of plaintext,
+// the last one holds less (possibly nothing), so the end of the data is authenticated
+// too. IVs are the nonce prefix of the header followed by the chunk number; the
+// additional data is the header followed by 1 for the last chunk and 0 otherwise.
+//
+// Header: "GFE" | version (1) | flags (1) | salt (16) | nonce prefix (8) | chunk size (4, BE)
+const MAGIC = Buffer.from("GFE");
+const VERSION = 1;
+const FLAG_PASSPHRASE = 1;
+const HEADER_LENGTH = 33;
+const SALT_LENGTH = 16;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+const NAME_SUFFIX = ".gfe";
+const SCRYPT_OPTIONS = { N: 1 << 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+function parseKey(key) {
+    let buf = key;
+    if (typeof key === "string") {
+        buf = /^[0-9a-f]{64}$/i.test(key) ? Buffer.from(key, "hex") : Buffer.from(key, "base64");
+    }
+    if (!Buffer.isBuffer(buf) || buf.length !== KEY_LENGTH) {
+        throw new GofileValidationError(`Encryption key must be ${KEY_LENGTH} bytes long.`, { field: "key" });
+    }
+    return buf;
+}
+
+function checkKeyOptions(opts) {
+    if (!opts || (opts.passphrase === undefined) === (opts.key === undefined)) {
+        throw new GofileValidationError("Exactly one of passphrase and key must be given.", { field: "encrypt" });
+    }
+    if (opts.passphrase !== undefined && (typeof opts.passphrase !== "string" || opts.passphrase === "")) {
+        throw new GofileValidationError("Passphrase must be a non-empty string.", { field: "passphrase" });
+    }
+}
+
+/**
+ * Resolves the key of a salt, deriving it from the passphrase when there is one.
+ * Derived keys are cached, scrypt being slow on purpose.
+ */
+class KeyRing {
+    /**
+     * @param {EncryptionOptions} opts - Passphrase or key
+     */
+    constructor(opts) {
+        checkKeyOptions(opts);
+        this.passphrase = opts.passphrase;
+        this.key = opts.key !== undefined ? parseKey(opts.key) : undefined;
+        this.derived = new Map();
+    }
+
+    /**
+     * @param {boolean} passphrase - Whether the data was encrypted with a passphrase
+     * @param {Buffer} salt - Salt of the data
+     * @returns {Promise<Buffer>}
+     */
+    async keyFor(passphrase, salt) {
+        if (!passphrase) {
+            if (!this.key) {
+                throw new GofileIntegrityError("Data was encrypted with a key, but only a passphrase was given");
+            }
+            return this.key;
+        }
+        if (this.passphrase === undefined) {
+            throw new GofileIntegrityError("Data was encrypted with a passphrase, but only a key was given");
+        }
+        const id = salt.toString("hex");
+        if (!this.derived.has(id)) {
+            this.derived.set(id, scrypt(this.passphrase, salt, KEY_LENGTH, SCRYPT_OPTIONS));
+        }
+        return this.derived.get(id);
+    }
+}
+
+function chunkIv(prefix, index) {
+    const iv = Buffer.alloc(12);
+    prefix.copy(iv, 0);
+    iv.writeUInt32BE(index, 8);
+    return iv;
+}
+
+function sealChunk(key, header, index, plaintext, last) {
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, chunkIv(header.subarray(25, 33), index));
+    cipher.setAAD(Buffer.concat([header, Buffer.from([last ? 1 : 0])]));
+    return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+function openChunk(key, header, index, record, last) {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, chunkIv(header.subarray(25, 33), index));
+    decipher.setAAD(Buffer.concat([header, Buffer.from([last ? 1 : 0])]));
+    decipher.setAuthTag(record.subarray(record.length - TAG_LENGTH));
+    try {
+        return Buffer.concat([decipher.update(record.subarray(0, record.length - TAG_LENGTH)), decipher.final()]);
+    } catch (e) {
+        throw new GofileIntegrityError("Decryption failed: wrong key, or the data was tampered with");
+    }
+}
+
+/**
+ * Key material for one upload. Files of the upload share the salt, and so the
+ * derived key, but each gets its own nonce prefix.
+ */
+class Encryption {
+    /**
+     * @param {Buffer} key - AES-256 key
+     * @param {Buffer} salt - Salt the key was derived with (zeros for a given key)
+     * @param {boolean} passphrase - Whether the key was derived from a passphrase
+     * @param {EncryptionOptions} opts - Encryption settings
+     */
+    constructor(key, salt, passphrase, opts) {
+        this.key = key;
+        this.salt = salt;
+        this.passphrase = passphrase;
+        this.encryptNames = !!opts.fileName;
+        this.chunkSize = opts.chunkSize || DEFAULT_CHUNK_SIZE;
+        if (!Number.isInteger(this.chunkSize) || this.chunkSize < 1 || this.chunkSize > MAX_CHUNK_SIZE) {
+            throw new GofileValidationError(`Chunk size must be an integer between 1 and ${MAX_CHUNK_SIZE}.`, { field: "chunkSize" });
+        }
+    }
+
+    header() {
+        const header = Buffer.alloc(HEADER_LENGTH);
+        MAGIC.copy(header, 0);
+        header[3] = VERSION;
+        header[4] = this.passphrase ? FLAG_PASSPHRASE : 0;
+        this.salt.copy(header, 5);
+        crypto.randomBytes(8).copy(header, 25);
+        header.writeUInt32BE(this.chunkSize, 29);
+        return header;
+    }
+
+    /**
+     * Encrypts a stream
+     * @param {stream.Readable} source - Plaintext
+     * @returns {stream.Readable} Ciphertext
+     */
+    encryptStream(source) {
+        const { key, chunkSize } = this;
+        const header = this.header();
+        let pending = Buffer.alloc(0);
+        let index = 0;
+        let started = false;
+
+        const encryptor = new stream.Transform({
+            transform(chunk, encoding, callback) {
+                if (!started) {
+                    this.push(header);
+                    started = true;
+                }
+                pending = Buffer.concat([pending, chunk]);
+                while (pending.length >= chunkSize) {
+                    this.push(sealChunk(key, header, index++, pending.subarray(0, chunkSize), false));
+                    pending = pending.subarray(chunkSize);
+                }
+                callback();
+            },
+            flush(callback) {
+                if (!started) {
+                    this.push(header);
+                }
+                this.push(sealChunk(key, header, index, pending, true));
+                callback();
+            },
+        });
+        source.on("error", e => encryptor.destroy(e));
+        return source.pipe(encryptor);
+    }
+
+    /**
+     * Size of the ciphertext of `size` bytes of plaintext
+     * @param {number} [size] - Plaintext size
+     * @returns {number|undefined}
+     */
+    encryptedSize(size) {
+        if (size === undefined) {
+            return undefined;
+        }
+        return HEADER_LENGTH + size + (Math.floor(size / this.chunkSize) + 1) * TAG_LENGTH;
+    }
+
+    /**
+     * Name a file is uploaded under
+     * @param {string} [name] - Plaintext name
+     * @returns {string|undefined}
+     */
+    fileName(name) {
+        if (!this.encryptNames || !name) {
+            return name;
+        }
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv("aes-256-gcm", this.key, iv);
+        cipher.setAAD(Buffer.from([this.passphrase ? FLAG_PASSPHRASE : 0]));
+        const ciphertext = Buffer.concat([cipher.update(name, "utf8"), cipher.final(), cipher.getAuthTag()]);
+        return `${base64url(Buffer.concat([this.salt, iv, ciphertext]))}${NAME_SUFFIX}`;
+    }
+}
+
+function base64url(buf) {
+    return buf.toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Prepares the encryption of an upload, deriving the key when a passphrase is given
+ * @param {EncryptionOptions} opts - Encryption settings
+ * @returns {Promise<Encryption>}
+ */
+async function createEncryption(opts) {
+    checkKeyOptions(opts);
+    if (opts.key !== undefined) {
+        return new Encryption(parseKey(opts.key), Buffer.alloc(SALT_LENGTH), false, opts);
+    }
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const key = await scrypt(opts.passphrase, salt, KEY_LENGTH, SCRYPT_OPTIONS);
+    return new Encryption(key, salt, true, opts);
+}
+
+/**
+ * Tells whether data starts like encrypted data
+ * @param {Buffer} data - Data, or its first bytes
+ * @returns {boolean}
+ */
+function isEncrypted(data) {
+    return data.length >= 4 && data.subarray(0, 3).equals(MAGIC) && data[3] === VERSION;
+}
+
+/**
+ * Tells whether data could be the start of encrypted data, however short it is
+ * @param {Buffer} data - First bytes of the data
+ * @returns {boolean}
+ */
+function startsLikeEncrypted(data) {
+    const signature = Buffer.concat([MAGIC, Buffer.from([VERSION])]);
+    const length = Math.min(data.length, signature.length);
+    return data.subarray(0, length).equals(signature.subarray(0, length));
+}
+
+/**
+ * Tells whether a file name was made by {@link Encryption#fileName}
+ * @param {string} [name] - Uploaded file name
+ * @returns {boolean}
+ */
+function isEncryptedName(name) {
+    return typeof name === "string" && name.endsWith(NAME_SUFFIX);
+}
+
+/**
+ * Creates a stream decrypting data made by {@link Encryption#encryptStream}.
+ * Each chunk is authenticated before it is passed on; a wrong key, tampered or
+ * truncated data make the stream fail with a {@link GofileIntegrityError}.
+ * @param {KeyRing} keys - Keys to decrypt with
+ * @param {boolean} [optional] - Pass data that is not encrypted through unchanged instead of failing
+ * @returns {stream.Transform}
+ */
+function createDecryptStream(keys, optional = false) {
+    let pending = Buffer.alloc(0);
+    let plain = false;
+    let header;
+    let key;
+    let recordSize;
+    let index = 0;
+
+    async function readHeader() {
+        header = pending.subarray(0, HEADER_LENGTH);
+        if (!isEncrypted(header)) {
+            throw new GofileIntegrityError("Data is not encrypted, or was made by an unsupported version");
+        }
+        const chunkSize = header.readUInt32BE(29);
+        if (chunkSize < 1 || chunkSize > MAX_CHUNK_SIZE) {
+            throw new GofileIntegrityError("Encrypted data has an invalid header");
+        }
+        recordSize = chunkSize + TAG_LENGTH;
+        key = await keys.keyFor((header[4] & FLAG_PASSPHRASE) !== 0, header.subarray(5, 21));
+        pending = pending.subarray(HEADER_LENGTH);
+    }
+
+    return new stream.Transform({
+        transform(chunk, encoding, callback) {
+            if (plain) {
+                callback(null, chunk);
+                return;
+            }
+            pending = Buffer.concat([pending, chunk]);
+            if (optional && !header && pending.length >= MAGIC.length + 1 && !isEncrypted(pending)) {
+                plain = true;
+                callback(null, pending);
+                return;
+            }
+            (async () => {
+                if (!header) {
+                    if (pending.length < HEADER_LENGTH) {
+                        return;
+                    }
+                    await readHeader();
+                }
+                // Keep a full record back: it is the last one if nothing follows
+                while (pending.length > recordSize) {
+                    this.push(openChunk(key, header, index++, pending.subarray(0, recordSize), false));
+                    pending = pending.subarray(recordSize);
+                }
+            })().then(() => callback(), callback);
+        },
+        flush(callback) {
+            if (plain) {
+                callback();
+                return;
+            }
+            if (optional && !header && !isEncrypted(pending)) {
+                callback(null, pending);
+                return;
+            }
+            (async () => {
+                if (!header) {
+                    if (!startsLikeEncrypted(pending)) {
+                        throw new GofileIntegrityError("Data is not encrypted, or was made by an unsupported version");
+                    }
+                    if (pending.length < HEADER_LENGTH) {
+                        throw new GofileIntegrityError("Encrypted data is truncated");
+                    }
+                    await readHeader();
+                }
+                if (pending.length === recordSize) {
+                    this.push(openChunk(key, header, index++, pending, false));
+                    pending = Buffer.alloc(0);
+                }
+                if (pending.length < TAG_LENGTH) {
+                    throw new GofileIntegrityError("Encrypted data is truncated");
+                }
+                this.push(openChunk(key, header, index, pending, true));
+            })().then(() => callback(), callback);
+        },
+    });
+}
+
+/**
+ * Decrypts data made by {@link Encryption#encryptStream}
+ * @param {Buffer} data - Ciphertext
+ * @param {KeyRing} keys - Keys to decrypt with
+ * @param {boolean} [optional] - Return data that is not encrypted unchanged instead of failing
+ * @returns {Promise<Buffer>} Plaintext
+ */
+function decryptBuffer(data, keys, optional = false) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        const decryptor = createDecryptStream(keys, optional);
+        decryptor.on("data", chunk => chunks.push(chunk));
+        decryptor.on("error", reject);
+        decryptor.on("end", () => resolve(Buffer.concat(chunks)));
+        decryptor.end(data);
+    });
+}
+
+/**
+ * Decrypts a file name made by {@link Encryption#fileName}
+ * @param {string} name - Uploaded file name
+ * @param {KeyRing} keys - Keys to decrypt with
+ * @returns {Promise<string>} The plaintext name, or `name` when it is not encrypted
+ */
+async function decryptFileName(name, keys) {
+    if (!isEncryptedName(name)) {
+        return name;
+    }
+    const data = Buffer.from(name.slice(0, -NAME_SUFFIX.length).replace(/-/g, "+").replace(/_/g, "/"), "base64");
+    if (data.length < SALT_LENGTH + 12 + TAG_LENGTH) {
+        return name;
+    }
+    const salt = data.subarray(0, SALT_LENGTH);
+    const passphrase = !salt.equals(Buffer.alloc(SALT_LENGTH));
+    const key = await keys.keyFor(passphrase, salt);
+
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, data.subarray(SALT_LENGTH, SALT_LENGTH + 12));
+    decipher.setAAD(Buffer.from([passphrase ? FLAG_PASSPHRASE : 0]));
+    decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+    try {
+        return Buffer.concat([decipher.update(data.subarray(SALT_LENGTH + 12, data.length - TAG_LENGTH)), decipher.final()]).toString("utf8");
+    } catch (e) {
+        throw new GofileIntegrityError(`Decrypting file name ${name} failed: wrong key, or the name was tampered with`, { file: name });
+    }
+}
+
+module.exports = {
+    KeyRing,
+    createEncryption,
+    createDecryptStream,
+    isEncryptedName,
+    decryptBuffer,
+    decryptFileName,
+    isEncrypted,
+};
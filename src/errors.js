@@ -0,0 +1,133 @@
+/**
+ * Base class of every error raised by this library
+ */
+class GofileError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {object} [props] - Extra properties copied onto the error
+     */
+    constructor(message, props = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        Object.assign(this, props);
+    }
+}
+
+/**
+ * An argument or upload option has an invalid value. Raised before any request is made.
+ * @property {string} [field] - Name of the offending argument or option
+ * @property {OptionProblem[]} [problems] - Every problem found in the upload options, when they are at fault
+ * @property {number} [index] - Position of the offending file, when a file passed to `uploadFiles` is at fault
+ */
+class GofileValidationError extends GofileError {}
+
+/**
+ * The API answered with a status other than `ok`, or with an HTTP error code
+ * @property {string} status - API status, e.g. `error-notFound`
+ * @property {number} [httpStatus] - HTTP status code of the response
+ * @property {object} [headers] - Response headers
+ * @property {*} payload - Response body
+ */
+class GofileApiError extends GofileError {}
+
+/**
+ * The upload or file does not exist
+ */
+class GofileNotFoundError extends GofileApiError {}
+
+/**
+ * The upload is protected by a password and none or a wrong one was given
+ */
+class GofilePasswordError extends GofileApiError {}
+
+/**
+ * The request did not get a response (connection refused, DNS failure, timeout, ...)
+ * @property {Error} cause - Underlying transport error
+ * @property {string} [code] - Error code of the underlying error, e.g. `ECONNRESET`
+ */
+class GofileNetworkError extends GofileError {}
+
+/**
+ * None of the files passed to `uploadFiles` could be uploaded, and they did not all fail the same way
+ * @property {UploadResult} result - Per-file results, each failed entry holds its `error`
+ * @property {Error} cause - Error of the first file
+ */
+class GofileUploadError extends GofileError {}
+
+/**
+ * None of the files of an upload could be downloaded
+ * @property {DownloadResult} result - Per-file results, each failed entry holds its `error`
+ */
+class GofileDownloadError extends GofileError {}
+
+/**
+ * Downloaded data does not match the hash reported by the API
+ * @property {string} file - Name of the file
+ * @property {string} expected - MD5 hash reported by the API
+ * @property {string} actual - MD5 hash of the downloaded data
+ */
+class GofileIntegrityError extends GofileError {}
+
+/**
+ * The operation was cancelled through an `AbortSignal`
+ */
+class GofileAbortError extends GofileError {}
+
+/**
+ * Builds the error matching an API reply that is not `ok`
+ * @param {string} action - What was attempted, used in the message
+ * @param {*} payload - Response body
+ * @param {number} [httpStatus] - HTTP status code of the response
+ * @param {object} [headers] - Response headers
+ * @returns {GofileApiError}
+ */
+function apiError(action, payload, httpStatus, headers) {
+    const status = payload && typeof payload === "object" && payload.status ? payload.status : undefined;
+    const props = { status, httpStatus, headers, payload };
+    const message = `${action} failed: ${status || `HTTP ${httpStatus}`}`;
+
+    if (/notfound/i.test(status || "") || (!status && httpStatus === 404)) {
+        return new GofileNotFoundError(message, props);
+    }
+    if (/password/i.test(status || "")) {
+        return new GofilePasswordError(message, props);
+    }
+    return new GofileApiError(message, props);
+}
+
+/**
+ * Converts an error thrown by the transport into a library error
+ * @param {string} action - What was attempted, used in the message
+ * @param {Error} e - Error thrown by the transport
+ * @returns {GofileError}
+ */
+function transportError(action, e) {
+    if (e instanceof GofileError) {
+        return e;
+    }
+    if (e && (e.__CANCEL__ || e.code === "ERR_CANCELED" || e.name === "AbortError")) {
+        return new GofileAbortError(`${action} was aborted`, { cause: e });
+    }
+    if (e && e.response) {
+        return apiError(action, e.response.data, e.response.status, e.response.headers);
+    }
+    return new GofileNetworkError(`${action} failed: ${e && e.message}`, {
+        cause: e,
+        code: e && e.code,
+    });
+}
+
+module.exports = {
+    GofileError,
+    GofileValidationError,
+    GofileApiError,
+    GofileNotFoundError,
+    GofilePasswordError,
+    GofileNetworkError,
+    GofileUploadError,
+    GofileDownloadError,
+    GofileIntegrityError,
+    GofileAbortError,
+    apiError,
+    transportError,
+};
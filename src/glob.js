@@ -0,0 +1,98 @@
+/**
+ * Converts a glob pattern to a regular expression. Supports `*`, `**`, `?`,
+ * character classes (`[abc]`, `[!abc]`) and alternatives (`{a,b}`).
+ * Paths are matched with forward slashes.
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+    let re = "";
+    let inGroup = 0;
+    for (let i = 0; i < pattern.length; i++) {
+        const c = pattern[i];
+        if (c === "*") {
+            if (pattern[i + 1] === "*") {
+                // `**/` matches any number of directories, including none
+                if (pattern[i + 2] === "/") {
+                    re += "(?:.*/)?";
+                    i += 2;
+                } else {
+                    re += ".*";
+                    i++;
+                }
+            } else {
+                re += "[^/]*";
+            }
+        } else if (c === "?") {
+            re += "[^/]";
+        } else if (c === "[") {
+            const end = pattern.indexOf("]", i + 1);
+            if (end === -1) {
+                re += "\\[";
+            } else {
+                let cls = pattern.slice(i + 1, end).replace(/\\/g, "\\\\");
+                if (cls[0] === "!") {
+                    cls = "^" + cls.slice(1);
+                }
+                re += `[${cls}]`;
+                i = end;
+            }
+        } else if (c === "{") {
+            inGroup++;
+            re += "(?:";
+        } else if (c === "}" && inGroup > 0) {
+            inGroup--;
+            re += ")";
+        } else if (c === "," && inGroup > 0) {
+            re += "|";
+        } else if (c === "\\" && i + 1 < pattern.length) {
+            re += pattern[++i].replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+        } else {
+            re += c.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+        }
+    }
+    return new RegExp(`^${re}$`);
+}
+
+/**
+ * Tells whether a string contains glob syntax
+ * @param {string} str - String to test
+ * @returns {boolean}
+ */
+function isGlob(str) {
+    return /[*?[{]/.test(str);
+}
+
+/**
+ * A filter given as glob pattern(s), regular expression(s) or predicate
+ * @typedef {string|RegExp|function(string): boolean|Array<string|RegExp|function(string): boolean>} NameFilter
+ */
+
+/**
+ * Builds a predicate out of a {@link NameFilter}. A pattern without a slash
+ * also matches the last segment of a path, like in `.gitignore` files.
+ * @param {NameFilter} filter - Filter to compile
+ * @returns {function(string): boolean} Whether a name matches any of the patterns
+ */
+function compileFilter(filter) {
+    const tests = (Array.isArray(filter) ? filter : [filter]).map(f => {
+        if (typeof f === "function") {
+            return f;
+        }
+        if (f instanceof RegExp) {
+            return name => f.test(name);
+        }
+        const re = globToRegExp(f);
+        if (f.includes("/")) {
+            return name => re.test(name);
+        }
+        return name => re.test(name) || re.test(name.slice(name.lastIndexOf("/") + 1));
+    });
+    return name => tests.some(test => test(name));
+}
+
+module.exports = {
+    globToRegExp,
+    isGlob,
+    compileFilter,
+};
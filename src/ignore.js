@@ -0,0 +1,107 @@
+const fs = require("fs");
+const util = require("util");
+
+const { globToRegExp } = require("./glob");
+
+const readFile = util.promisify(fs.readFile);
+
+/**
+ * Set of ignore rules with `.gitignore` semantics: `#` comments, `!` negations,
+ * a trailing `/` for directories only, and patterns containing a slash anchored
+ * to the directory of the file they come from. The last matching rule wins.
+ */
+class IgnoreRules {
+    constructor() {
+        this.rules = [];
+    }
+
+    /**
+     * Adds patterns
+     * @param {string|string[]} patterns - Patterns, or the content of an ignore file
+     * @param {string} [base] - Directory the patterns are relative to, as a relative path with forward slashes
+     * @returns {IgnoreRules} this
+     */
+    add(patterns, base = "") {
+        const lines = Array.isArray(patterns) ? patterns : String(patterns).split(/\r?\n/);
+        for (let line of lines) {
+            line = line.replace(/(^|[^\\])\s+$/, "$1");
+            if (line === "" || line.startsWith("#")) {
+                continue;
+            }
+
+            let negate = false;
+            if (line.startsWith("!")) {
+                negate = true;
+                line = line.slice(1);
+            } else if (line.startsWith("\\!") || line.startsWith("\\#")) {
+                line = line.slice(1);
+            }
+
+            let dirOnly = false;
+            if (line.endsWith("/")) {
+                dirOnly = true;
+                line = line.replace(/\/+$/, "");
+            }
+
+            const anchored = line.includes("/");
+            this.rules.push({
+                base,
+                negate,
+                dirOnly,
+                anchored,
+                re: globToRegExp(line.replace(/^\//, "")),
+            });
+        }
+        return this;
+    }
+
+    /**
+     * Reads the patterns of an ignore file, if it exists
+     * @param {string} file - Path of the ignore file
+     * @param {string} [base] - Directory the patterns are relative to
+     * @returns {Promise<IgnoreRules>} this
+     */
+    async addFile(file, base = "") {
+        let content;
+        try {
+            content = await readFile(file, "utf8");
+        } catch (e) {
+            if (e.code === "ENOENT" || e.code === "EISDIR") {
+                return this;
+            }
+            throw e;
+        }
+        return this.add(content, base);
+    }
+
+    /**
+     * Tells whether a path is ignored
+     * @param {string} relativePath - Path relative to the root, with forward slashes
+     * @param {boolean} [isDir] - Whether the path is a directory
+     * @returns {boolean}
+     */
+    ignores(relativePath, isDir = false) {
+        let ignored = false;
+        for (const rule of this.rules) {
+            if (ignored !== rule.negate || (rule.dirOnly && !isDir)) {
+                continue;
+            }
+            let rel = relativePath;
+            if (rule.base) {
+                if (!rel.startsWith(`${rule.base}/`)) {
+                    continue;
+                }
+                rel = rel.slice(rule.base.length + 1);
+            }
+            const subject = rule.anchored ? rel : rel.slice(rel.lastIndexOf("/") + 1);
+            if (rule.re.test(subject)) {
+                ignored = !rule.negate;
+            }
+        }
+        return ignored;
+    }
+}
+
+module.exports = {
+    IgnoreRules,
+};
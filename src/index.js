@@ -1,25 +1,46 @@
-const crypto = require("crypto");
-const stream = require("stream");
-
-const axios = require("axios");
-const FormData = require("form-data");
+const { GofileClient } = require("./client");
+const errors = require("./errors");
+const { decodeRelativePath } = require("./upload");
+const { UploadLedger } = require("./ledger");
+const { UploadQueue } = require("./queue");
+const { UploadWatcher } = require("./watch");
+const { MemoryHashStore, FileHashStore } = require("./dedupe");
+const { normalizeUploadOptions, checkUploadOptions } = require("./options");
+const encryption = require("./encryption");
+
+/** @typedef {import("./progress").ProgressCallback} ProgressCallback */
+/** @typedef {import("./encryption").EncryptionOptions} EncryptionOptions */
+/** @typedef {import("./upload").UploadPathOptions} UploadPathOptions */
+/** @typedef {import("./upload").UploadPathResult} UploadPathResult */
+/** @typedef {import("./download").DownloadOptions} DownloadOptions */
+/** @typedef {import("./download").DownloadResult} DownloadResult */
+/** @typedef {import("./queue").UploadQueueOptions} UploadQueueOptions */
+/** @typedef {import("./watch").WatchOptions} WatchOptions */
+/** @typedef {import("./dedupe").HashStore} HashStore */
 
 // Typedefs
 /**
  * File for upload
  * @typedef {object} FileUpload
- * @property {Buffer|ReadableStream} file - File data
+ * @property {Buffer|ArrayBuffer|Uint8Array|Blob|import("stream").Readable|ReadableStream|function(): (Buffer|Uint8Array|Blob|import("stream").Readable|ReadableStream)} file - File data: bytes, a `Blob`/`File`, a Node.js or WHATWG stream, or a function opening it. A function is called for each attempt, so such files can be retried even when they are streams.
  * @property {string} [fn] - File name
+ * @property {number} [size] - Size of the file data in bytes, used for progress reports of streams
  */
 /**
  * Options for uploading a file or files
  * @typedef {object} UploadOptions
- * @property {string} expire - Upload expiration date in epoch
- * @property {string} password - Password for accessing the upload
- * @property {string} description - Description of the upload
- * @property {string} tags - Tags of the upload (If multiple, separate by comma)
- * @property {string} ac - Admin code of the upload
- * @property {string} email - Email the upload will be stored on
+ * @property {number|string|Date} [expire] - Upload expiration: a `Date`, an epoch time in seconds or milliseconds, an ISO 8601 date, or a duration from now such as `"7d"` or `"12h"`
+ * @property {string} [password] - Password for accessing the upload
+ * @property {string} [description] - Description of the upload
+ * @property {string|string[]} [tags] - Tags of the upload, as a list or separated by commas
+ * @property {string} [ac] - Admin code of the upload
+ * @property {string} [email] - Email the upload will be stored on
+ * @property {ProgressCallback} [onProgress] - Receives progress reports while the files are sent
+ * @property {EncryptionOptions} [encrypt] - Encrypt the files with AES-256-GCM before they leave the machine
+ * @property {string} [server] - Upload server to use instead of looking one up
+ * @property {AbortSignal} [signal] - Cancels the upload; files not uploaded yet fail with a {@link GofileAbortError}
+ * @property {boolean|HashStore} [dedupe] - Skip files whose content was uploaded before and is still online, reusing the earlier link.
+ * `true` uses the hash store of the client. Cannot be combined with `encrypt`.
  */
 /**
  * File metadata after creation
@@ -27,6 +48,41 @@ const FormData = require("form-data");
  * @property {string} code - Upload ID
  * @property {string} removalCode - Removal code
  */
+/**
+ * Result of uploading one file, see {@link UploadResult}
+ * @typedef {object} FileResult
+ * @property {string} [name] - File name
+ * @property {string} [storedName] - File name as sent, which differs from `name` when names are encrypted
+ * @property {boolean} encrypted - Whether the file was encrypted before being sent
+ * @property {"uploaded"|"reused"|"failed"} status - Whether the file was uploaded, or found online from an earlier upload (`dedupe`)
+ * @property {number} size - Number of bytes sent, or the size of the reused content
+ * @property {string} [md5] - MD5 hash of the bytes sent
+ * @property {string} [code] - Upload ID holding the file; for reused files, the earlier upload
+ * @property {string} [link] - Download page of the upload holding the file
+ * @property {number} attempts - Number of attempts made to upload the file
+ * @property {object} [response] - Server reply for the file
+ * @property {Error} [error] - Reason the file failed to upload
+ */
+/**
+ * Result of uploading one or more files into a single upload
+ * @typedef {object} UploadResult
+ * @property {string} code - Upload ID shared by all uploaded files (when every file was reused, the upload of the first one)
+ * @property {string} removalCode - Removal code
+ * @property {string} [adminCode] - Admin code, when returned by the server
+ * @property {number} uploaded - Number of files that were uploaded
+ * @property {number} reused - Number of files skipped because their content was already online
+ * @property {number} failed - Number of files that failed to upload
+ * @property {FileResult[]} files - Result for each file, in the order they were given
+ */
+/**
+ * A file of an upload, see {@link UploadInfo}
+ * @typedef {object} FileInfo
+ * @property {string} name - File name
+ * @property {number} size - File size
+ * @property {string} md5 - MD5 hash of file
+ * @property {string} mimetype - File mimetype
+ * @property {string} link - File URL for download
+ */
 /**
  * Information about an upload
  * @typedef {object} UploadInfo
@@ -36,180 +92,69 @@ const FormData = require("form-data");
  * @property {number} totalSize - Upload size
  * @property {number} views - Views
  * @property {number} hasZip - Has a zip file
- *
- * @property {object[]} files - List of files in upload
- * @property {string} files.name - File name
- * @property {number} files.size - File size
- * @property {string} files.md5 - MD5 hash of file
- * @property {string} files.mimetype - File mimetype
- * @property {string} files.link - File URL for download
+ * @property {FileInfo[]} files - List of files in upload
  */
 
-function sha256hash(str) {
-    return crypto.createHash("sha256").update(str).digest("hex");
-}
-
-async function getServer() {
-    try {
-        const res = await axios({
-            url: `https://apiv2.gofile.io/getServer`,
-            method: "GET",
-            headers: {
-                accept: "*/*",
-                "accept-language": "en-US,en;",
-                "cache-control": "no-cache",
-                pragma: "no-cache",
-                referrer: "https://gofile.io/uploadFiles",
-                mode: "cors",
-                "user-agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/85.0.4183.83 Safari/537.36 Edg/85.0.564.44",
-                dnt: 1,
-                origin: "https://gofile.io"
-            },
-        });
-
-        if (res.data.status !== "ok") {
-            throw new Error(`Fetching server info failed: ${JSON.stringify(res.data)}`);
-        }
-        return res.data.data.server;
-    } catch (e) {
-        console.log("Error with fetching server:");
-        console.error(e);
-    }
-}
+const defaultClient = new GofileClient();
 
 /**
- *
+ * Uploads all files into a single upload
  * @param {FileUpload[]} files - List of files to upload
  * @param {UploadOptions} options - Options for the upload
- * @returns {Promise<FileCreated>} ID and removal code of the uploaded files
+ * @returns {Promise<UploadResult>} ID, removal code and per-file results of the upload
  */
 async function uploadFiles(files, options = {}) {
-    try {
-        let server = await getServer();
-        for (let f of files) {
-            const fd = new FormData();
-            if (f.fn === "") {
-                fd.append("file", f.file);
-            } else {
-                fd.append("file", f.file, f.fn);
-            }
-
-            
-            if (options.description) {
-                if (options.description.length <= 1000) {
-                    fd.append("description", options.description);
-                } else {
-                    throw new Error("Invalid value for field description. ");
-                }
-            }
-
-            if (options.tags) {
-                if (options.tags.length <= 1000) {
-                    fd.append("tags", options.tags);
-                } else {
-                    throw new Error("Invalid value for field tags. ");
-                }
-            }
-
-            if (options.ac) {
-                if (options.ac.length <= 20) {
-                    fd.append("ac", options.ac);
-                } else {
-                    throw new Error("Invalid value for field ac. ");
-                }
-            }
-            
-            if(options.email) {
-                if(/.+@.+\..+/i.test(options.email)) {
-                    fd.append("email", options.email);
-                } else {
-                    throw new Error("Invalid value for field email. ");
-                }
-            }
-
-            if (options.password) {
-                if (/^[a-z0-9]{6,20}$/i.test(options.password)) {
-                    fd.append("password", options.password);
-                } else {
-                    throw new Error("Invalid value for field password. ");
-                }
-            }
-            if (options.expire) {
-                if (!isNaN(options.expire) && options.expire > 10000000000 ? options.expire : options.expire / 1000 > Date.now() / 1000 ) {
-                    fd.append("expire", Math.round(options.expire > 10000000000 ? options.expire : options.expire / 1000));
-                } else {
-                    throw new Error("Invalid value for field expire. ");
-                }
-            }
-
-            const res = await axios({
-                url: `https://${server}.gofile.io/uploadFile`,
-                method: "POST",
-                headers: {
-                    accept: "*/*",
-                    "accept-language": "en-US,en;",
-                    "cache-control": "no-cache",
-                    pragma: "no-cache",
-                    referrer: "https://gofile.io/uploadFiles",
-                    mode: "cors",
-                    "user-agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/85.0.4183.83 Safari/537.36 Edg/85.0.564.44",
-                    dnt: 1,
-                    origin: "https://gofile.io",
-                    ...fd.getHeaders(),
-                },
-                'maxContentLength': Infinity,
-                'maxBodyLength': Infinity,
-                referrer: "https://gofile.io/uploadFiles",
-                data: fd,
-            });
-
-            if (res.data.status !== "ok") {
-                throw new Error(`Uploading file failed: ${JSON.stringify(res.data)}`);
-            }
-            return res.data.data;
-        }
-    } catch (e) {
-        console.log("Error with file upload.");
-        console.error(e);
-    }
-
-
-
+    return defaultClient.uploadFiles(files, options);
 }
 
 /**
  * @async
  * @function uploadFile
  * @description Note: a Buffer cannot be passed without a file name
- * @param {ReadableStream} file - ReadableStream with file data (file name is inferred)
+ * @param {import("stream").Readable|ReadableStream|File} file - Stream or File with file data (file name is inferred)
  * @param {UploadOptions} options - Options for the upload
- * @returns {Promise<FileCreated>} ID and removal code of the uploaded file
+ * @returns {Promise<UploadResult>} ID and removal code of the uploaded file
  */
 /**
  * @async
  * @function uploadFile
- * @param {Buffer|ReadableStream} file - Buffer or ReadableStream with file data
+ * @param {Buffer|ArrayBuffer|Uint8Array|Blob|import("stream").Readable|ReadableStream} file - File data
  * @param {string} fileName - File name
  * @param {UploadOptions} options - Options for the upload
- * @returns {Promise<FileCreated>} ID and removal code of the uploaded file
+ * @returns {Promise<UploadResult>} ID and removal code of the uploaded file
  */
 
 async function uploadFile(arg1, arg2, arg3) {
-    if (arg1 instanceof Buffer || arg1 instanceof ArrayBuffer) {
-        if (arg2 && arg2 !== "" && typeof arg2 !== "object") {
-            return uploadFiles([{ file: arg1, fn: arg2 }], arg3);
-        } else {
-            throw Error("Filename must not be blank when using a Buffer.");
-        }
-    } else if (arg1 instanceof stream.Readable) {
-        if (arg2 && arg2 !== "" && typeof arg2 !== "object") {
-            return uploadFiles([{ file: arg1, fn: arg2 }], arg3);
-        } else {
-            return uploadFiles([{ file: arg1 }], arg2);
-        }
-    } else {
-        throw Error("Invalid file type");
-    }
+    return defaultClient.uploadFile(arg1, arg2, arg3);
+}
+
+/**
+ * Creates a queue running uploads with a bounded concurrency
+ * @param {UploadQueueOptions} [options] - Queue options
+ * @returns {UploadQueue}
+ */
+function createUploadQueue(options = {}) {
+    return new UploadQueue(options.client || defaultClient, options);
+}
+
+/**
+ * Polls an upload and reports what changes, see {@link UploadWatcher}
+ * @param {string} code - Upload ID
+ * @param {WatchOptions} [options] - Watch options
+ * @returns {UploadWatcher}
+ */
+function watchUpload(code, options = {}) {
+    return defaultClient.watchUpload(code, options);
+}
+
+/**
+ * Uploads a directory (recursively), a single file, or the files matching a glob
+ * @param {string} pathOrGlob - Directory, file or glob pattern
+ * @param {UploadPathOptions} [options] - Options for the upload
+ * @returns {Promise<UploadPathResult>} The upload result, with the uploaded file of each local path
+ */
+async function uploadPath(pathOrGlob, options = {}) {
+    return defaultClient.uploadPath(pathOrGlob, options);
 }
 
 /**
@@ -218,30 +163,7 @@ async function uploadFile(arg1, arg2, arg3) {
  * @param {string} removalCode - Removal code of the upload
  */
 async function removeUpload(code, removalCode) {
-    try {
-        const server = (await getServer(code)) || "srv-file9";
-
-        const res = await axios({
-            url: `https://${server}.gofile.io/deleteUpload?c=${code}&rc=${removalCode}`,
-            method: "GET",
-            headers: {
-                accept: "*/*",
-                "accept-language": "en-US,en;",
-                "cache-control": "no-cache",
-                pragma: "no-cache",
-            },
-            referrer: `https://gofile.io/?c=${code}`,
-            referrerPolicy: "no-referrer-when-downgrade",
-            mode: "cors",
-        });
-
-        if (res.data.status !== "ok") {
-            throw new Error(`Removing file failed: ${JSON.stringify(res.data)}`);
-        }
-        return res.data.data;
-    } catch (e) {
-        console.error(e);
-    }
+    return defaultClient.removeUpload(code, removalCode);
 }
 
 /**
@@ -251,30 +173,7 @@ async function removeUpload(code, removalCode) {
  * @returns {Promise<UploadInfo>}
  */
 async function getUploadInfo(code, p = "") {
-    try {
-        const server = (await getServer(code)) || "srv-file9";
-
-        const res = await axios({
-            url: `https://${server}.gofile.io/getUpload?c=${code}${p && p !== "" ? `&p=${sha256hash(p)}` : ""}`,
-            method: "GET",
-            headers: {
-                accept: "*/*",
-                "accept-language": "en-US,en;",
-                "cache-control": "no-cache",
-                pragma: "no-cache",
-            },
-            referrer: `https://gofile.io/?c=${code}`,
-            referrerPolicy: "no-referrer-when-downgrade",
-            mode: "cors",
-        });
-
-        if (res.data.status !== "ok") {
-            throw new Error(`Fetching file info failed: ${JSON.stringify(res.data)}`);
-        }
-        return res.data.data;
-    } catch (e) {
-        console.error(e);
-    }
+    return defaultClient.getUploadInfo(code, p);
 }
 
 /**
@@ -282,42 +181,66 @@ async function getUploadInfo(code, p = "") {
  * @param {string} code - Upload ID
  * @param {string} [p] - Passphrase used to secure the upload
  * @param {"arraybuffer"|"stream"} [responseType] - Return type
+ * @param {object} [opts]
+ * @param {ProgressCallback} [opts.onProgress] - Receives progress reports
+ * @param {EncryptionOptions} [opts.decrypt] - Passphrase or key decrypting the files that were uploaded with `encrypt`
+ * @param {boolean} [opts.allowPlaintext] - With `decrypt`, return files that are not encrypted as they are
  * @returns {Promise<Buffer[]>|Promise<ReadableStream[]>} Returns an array of Buffers or Streams depending on the responseType parameter. Represents all files in the upload.
  */
-async function downloadFiles(code, p = "", responseType = "arraybuffer") {
-    try {
-        const uploadInfo = await getUploadInfo(code, p);
+async function downloadFiles(code, p = "", responseType = "arraybuffer", opts = {}) {
+    return defaultClient.downloadFiles(code, p, responseType, opts);
+}
 
-        const reqs = Object.keys(uploadInfo.files)
-            .map(k => uploadInfo.files[k])
-            .map(f =>
-                axios({
-                    url: f.link,
-                    headers: {
-                        accept:
-                            "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.9",
-                        "accept-language": "en-US,en;q=0.9,zh-CN;q=0.8,zh;q=0.7",
-                        "cache-control": "no-cache",
-                        pragma: "no-cache",
-                        "upgrade-insecure-requests": "1",
-                    },
-                    referrerPolicy: "no-referrer-when-downgrade",
-                    method: "GET",
-                    mode: "cors",
-                    responseType,
-                })
-            );
+/**
+ * Downloads every file of an upload into a directory, verifying their MD5
+ * hashes and resuming partial downloads
+ * @param {string} code - Upload ID
+ * @param {string} dir - Destination directory, created when missing
+ * @param {DownloadOptions} [opts] - Download options
+ * @returns {Promise<DownloadResult>}
+ */
+async function downloadToDirectory(code, dir, opts = {}) {
+    return defaultClient.downloadToDirectory(code, dir, opts);
+}
 
-        return (await Promise.all(reqs)).map(r => r.data);
-    } catch (e) {
-        console.error(e);
-    }
+/**
+ * Decrypts a file name uploaded with the `fileName` option of `encrypt`
+ * @param {string} name - Uploaded file name
+ * @param {EncryptionOptions|import("./encryption").KeyRing} keys - Passphrase or key the upload was encrypted with
+ * @returns {Promise<string>} The plaintext name, or `name` when it is not encrypted
+ */
+async function decryptFileName(name, keys) {
+    return encryption.decryptFileName(name, keys instanceof encryption.KeyRing ? keys : new encryption.KeyRing(keys));
 }
 
 module.exports = {
+    GofileClient,
+    UploadLedger,
+    UploadQueue,
+    UploadWatcher,
+    MemoryHashStore,
+    FileHashStore,
+    GofileError: errors.GofileError,
+    GofileValidationError: errors.GofileValidationError,
+    GofileApiError: errors.GofileApiError,
+    GofileNotFoundError: errors.GofileNotFoundError,
+    GofilePasswordError: errors.GofilePasswordError,
+    GofileNetworkError: errors.GofileNetworkError,
+    GofileUploadError: errors.GofileUploadError,
+    GofileDownloadError: errors.GofileDownloadError,
+    GofileIntegrityError: errors.GofileIntegrityError,
+    GofileAbortError: errors.GofileAbortError,
     uploadFile,
     uploadFiles,
+    uploadPath,
+    createUploadQueue,
+    watchUpload,
+    normalizeUploadOptions,
+    checkUploadOptions,
+    decodeRelativePath,
+    decryptFileName,
     removeUpload,
     getUploadInfo,
     downloadFiles,
+    downloadToDirectory,
 };
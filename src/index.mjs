@@ -0,0 +1,36 @@
+// ES module entry for Node.js, re-exporting the CommonJS one
+import gofile from "./index.js";
+
+export const {
+    GofileClient,
+    UploadLedger,
+    UploadQueue,
+    UploadWatcher,
+    MemoryHashStore,
+    FileHashStore,
+    GofileError,
+    GofileValidationError,
+    GofileApiError,
+    GofileNotFoundError,
+    GofilePasswordError,
+    GofileNetworkError,
+    GofileUploadError,
+    GofileDownloadError,
+    GofileIntegrityError,
+    GofileAbortError,
+    uploadFile,
+    uploadFiles,
+    uploadPath,
+    createUploadQueue,
+    watchUpload,
+    normalizeUploadOptions,
+    checkUploadOptions,
+    decodeRelativePath,
+    decryptFileName,
+    removeUpload,
+    getUploadInfo,
+    downloadFiles,
+    downloadToDirectory,
+} = gofile;
+
+export default gofile;
@@ -0,0 +1,255 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const util = require("util");
+
+const { GofileNotFoundError, GofileValidationError } = require("./errors");
+const { compileFilter } = require("./glob");
+const { expireToMillis } = require("./options");
+
+/** @typedef {import("./glob").NameFilter} NameFilter */
+/** @typedef {import("./index").UploadResult} UploadResult */
+/** @typedef {import("./index").UploadOptions} UploadOptions */
+/** @typedef {import("./client").GofileClient} GofileClient */
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+const appendFile = util.promisify(fs.appendFile);
+const rename = util.promisify(fs.rename);
+const mkdir = util.promisify(fs.mkdir);
+
+// Pending writes of each ledger file, shared by the ledgers of the process
+const writes = new Map();
+let tmpCount = 0;
+
+/**
+ * Options for creating a ledger
+ * @typedef {object} LedgerOptions
+ * @property {string} [dir] - Directory holding the ledger (default `$GOFILE_LEDGER_DIR`, else `~/.gofile`)
+ * @property {string} [file] - File name of the ledger inside `dir` (default `uploads.jsonl`)
+ */
+/**
+ * An upload recorded in the ledger
+ * @typedef {object} LedgerEntry
+ * @property {string} code - Upload ID
+ * @property {string} removalCode - Removal code
+ * @property {string} [adminCode] - Admin code
+ * @property {number} uploadedAt - Upload time in milliseconds since the epoch
+ * @property {number} [expiresAt] - Expiration time in milliseconds since the epoch
+ * @property {string} [description] - Description of the upload
+ * @property {string[]} tags - Tags of the upload
+ * @property {Array<{name: string, size: number, md5: string}>} files - Uploaded files
+ */
+/**
+ * Selects ledger entries. All given criteria must match.
+ * @typedef {object} LedgerFilter
+ * @property {string} [code] - Upload ID
+ * @property {string|string[]} [tag] - Entries having this tag (or any of these tags)
+ * @property {NameFilter} [name] - Entries having a file whose name matches
+ * @property {boolean} [expired] - Only expired (true) or only unexpired (false) entries
+ * @property {number} [now] - Time used to tell expired entries, in milliseconds (default `Date.now()`)
+ */
+
+/**
+ * Persistent record of uploads, kept as a JSON Lines file. New uploads are
+ * appended; updates rewrite the file atomically. When a code appears on
+ * several lines the last one wins. Writes to a file run one after the other,
+ * so that an update never drops an entry appended or forgotten meanwhile.
+ */
+class UploadLedger {
+    /**
+     * @param {LedgerOptions} [options] - Where to keep the ledger
+     */
+    constructor(options = {}) {
+        this.dir = options.dir || process.env.GOFILE_LEDGER_DIR || path.join(os.homedir(), ".gofile");
+        this.file = path.join(this.dir, options.file || "uploads.jsonl");
+    }
+
+    /**
+     * Reads all entries
+     * @returns {Promise<LedgerEntry[]>}
+     */
+    async load() {
+        let content;
+        try {
+            content = await readFile(this.file, "utf8");
+        } catch (e) {
+            if (e.code === "ENOENT") {
+                return [];
+            }
+            throw e;
+        }
+
+        const entries = new Map();
+        for (const line of content.split("\n")) {
+            if (line.trim() === "") {
+                continue;
+            }
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (e) {
+                // A line cut short by a crash, skip it
+                continue;
+            }
+            entries.delete(entry.code);
+            entries.set(entry.code, entry);
+        }
+        return Array.from(entries.values());
+    }
+
+    /**
+     * Runs a write once the earlier writes to the same file are done
+     * @param {function(): Promise<*>} write - Reads and writes the file
+     * @returns {Promise<*>} What `write` resolved to
+     */
+    exclusive(write) {
+        const previous = writes.get(this.file) || Promise.resolve();
+        const current = previous.catch(() => {}).then(write);
+        writes.set(this.file, current);
+        const done = () => {
+            if (writes.get(this.file) === current) {
+                writes.delete(this.file);
+            }
+        };
+        current.then(done, done);
+        return current;
+    }
+
+    /**
+     * Replaces all entries
+     * @param {LedgerEntry[]} entries - Entries to keep
+     */
+    async save(entries) {
+        await this.exclusive(() => this.writeEntries(entries));
+    }
+
+    async writeEntries(entries) {
+        await mkdir(this.dir, { recursive: true });
+        const tmp = `${this.file}.${process.pid}.${++tmpCount}.tmp`;
+        await writeFile(tmp, entries.map(e => `${JSON.stringify(e)}\n`).join(""), { mode: 0o600 });
+        await rename(tmp, this.file);
+    }
+
+    /**
+     * Records an upload
+     * @param {UploadResult} result - Result of `uploadFiles`
+     * @param {UploadOptions} [options] - Options the upload was made with
+     * @returns {Promise<LedgerEntry>}
+     */
+    async record(result, options = {}) {
+        if (!result || !result.code) {
+            throw new GofileValidationError("Only successful uploads can be recorded.", { field: "result" });
+        }
+        const tags = Array.isArray(options.tags) ? options.tags : String(options.tags || "").split(",");
+        const entry = {
+            code: result.code,
+            removalCode: result.removalCode,
+            adminCode: result.adminCode || options.ac,
+            uploadedAt: Date.now(),
+            expiresAt: expireToMillis(options.expire),
+            description: options.description,
+            tags: tags.map(t => t.trim()).filter(t => t !== ""),
+            files: result.files
+                .filter(f => f.status === "uploaded")
+                .map(f => ({ name: f.name, size: f.size, md5: f.md5 })),
+        };
+
+        await this.exclusive(async () => {
+            await mkdir(this.dir, { recursive: true });
+            await appendFile(this.file, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+        });
+        return entry;
+    }
+
+    /**
+     * Looks up an upload
+     * @param {string} code - Upload ID
+     * @returns {Promise<LedgerEntry|undefined>}
+     */
+    async get(code) {
+        return (await this.load()).find(e => e.code === code);
+    }
+
+    /**
+     * Lists the uploads matching a filter, oldest first
+     * @param {LedgerFilter} [filter] - Criteria, all entries when omitted
+     * @returns {Promise<LedgerEntry[]>}
+     */
+    async list(filter = {}) {
+        const matches = entryFilter(filter);
+        return (await this.load()).filter(matches).sort((a, b) => a.uploadedAt - b.uploadedAt);
+    }
+
+    /**
+     * Forgets uploads without removing them from the server
+     * @param {string[]} codes - Upload IDs
+     * @returns {Promise<number>} Number of entries forgotten
+     */
+    async forget(codes) {
+        return this.exclusive(async () => {
+            const entries = await this.load();
+            const kept = entries.filter(e => !codes.includes(e.code));
+            if (kept.length !== entries.length) {
+                await this.writeEntries(kept);
+            }
+            return entries.length - kept.length;
+        });
+    }
+
+    /**
+     * Forgets expired uploads
+     * @param {number} [now] - Current time in milliseconds (default `Date.now()`)
+     * @returns {Promise<LedgerEntry[]>} The entries forgotten
+     */
+    async prune(now = Date.now()) {
+        const expired = await this.list({ expired: true, now });
+        await this.forget(expired.map(e => e.code));
+        return expired;
+    }
+
+    /**
+     * Removes the matching uploads from the server and forgets them. Uploads the server
+     * no longer knows are forgotten too; other failures are reported and kept.
+     * @param {GofileClient} client - Client used to remove the uploads
+     * @param {LedgerFilter} filter - Uploads to remove
+     * @returns {Promise<Array<{code: string, removed: boolean, error?: Error}>>}
+     */
+    async remove(client, filter) {
+        if (!filter || Object.keys(filter).length === 0) {
+            throw new GofileValidationError("A filter is needed to remove uploads in bulk.", { field: "filter" });
+        }
+        const results = [];
+        for (const entry of await this.list(filter)) {
+            try {
+                await client.removeUpload(entry.code, entry.removalCode);
+                results.push({ code: entry.code, removed: true });
+            } catch (e) {
+                results.push({ code: entry.code, removed: false, error: e });
+            }
+        }
+        await this.forget(results.filter(r => r.removed || r.error instanceof GofileNotFoundError).map(r => r.code));
+        return results;
+    }
+}
+
+/**
+ * Builds a predicate out of a {@link LedgerFilter}
+ * @param {LedgerFilter} filter - Criteria
+ * @returns {function(LedgerEntry): boolean}
+ */
+function entryFilter(filter) {
+    const now = filter.now || Date.now();
+    const tags = filter.tag === undefined ? undefined : [].concat(filter.tag);
+    const name = filter.name === undefined ? undefined : compileFilter(filter.name);
+
+    return e =>
+        (filter.code === undefined || e.code === filter.code) &&
+        (tags === undefined || tags.some(t => (e.tags || []).includes(t))) &&
+        (name === undefined || (e.files || []).some(f => f.name && name(f.name))) &&
+        (filter.expired === undefined || filter.expired === (e.expiresAt !== undefined && e.expiresAt <= now));
+}
+
+module.exports = {
+    UploadLedger,
+};
@@ -0,0 +1,210 @@
+const { GofileValidationError } = require("./errors");
+
+/** @typedef {import("./index").UploadOptions} UploadOptions */
+
+/**
+ * A problem found in the upload options
+ * @typedef {object} OptionProblem
+ * @property {string} field - Name of the option
+ * @property {string} reason - What is wrong with its value
+ */
+/**
+ * Upload options in the form sent to the server
+ * @typedef {object} NormalizedUploadOptions
+ * @property {number} [expire] - Expiration date in seconds since the epoch
+ * @property {string} [password] - Password for accessing the upload
+ * @property {string} [description] - Description of the upload
+ * @property {string[]} [tags] - Tags of the upload
+ * @property {string} [ac] - Admin code of the upload
+ * @property {string} [email] - Email the upload will be stored on
+ */
+/**
+ * @typedef {object} NormalizeContext
+ * @property {number} [now] - Time relative durations start from, in milliseconds (default `Date.now()`)
+ */
+
+const DURATION_UNITS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+};
+
+function isUnset(value) {
+    return value === undefined || value === null || value === "";
+}
+
+/**
+ * Parses a duration such as `"7d"`, `"12h"` or `"1d12h"`
+ * @param {string} str - Duration, made of numbers followed by s, m, h, d or w
+ * @returns {number|undefined} Milliseconds, or undefined when `str` is not a duration
+ */
+function parseDuration(str) {
+    const text = str.trim().toLowerCase();
+    if (!/^(\d+(\.\d+)?[smhdw])+$/.test(text)) {
+        return undefined;
+    }
+    const part = /(\d+(?:\.\d+)?)([smhdw])/g;
+    let ms = 0;
+    let match;
+    while ((match = part.exec(text))) {
+        ms += Number(match[1]) * DURATION_UNITS[match[2]];
+    }
+    return ms;
+}
+
+/**
+ * Converts an `expire` upload option to milliseconds since the epoch. Accepts
+ * a `Date`, an epoch time in seconds or milliseconds (as a number or a numeric
+ * string), an ISO 8601 date, or a duration from now such as `"7d"`.
+ * @param {number|string|Date} [expire] - Expiration as passed to `uploadFiles`
+ * @param {number} [now] - Time durations start from, in milliseconds (default `Date.now()`)
+ * @returns {number|undefined} Undefined when `expire` is not set or cannot be read
+ */
+function expireToMillis(expire, now = Date.now()) {
+    if (isUnset(expire)) {
+        return undefined;
+    }
+    let ms;
+    if (expire instanceof Date) {
+        ms = expire.getTime();
+    } else if (typeof expire === "number" || (typeof expire === "string" && /^\s*\d+(\.\d+)?\s*$/.test(expire))) {
+        const n = Number(expire);
+        ms = n > 10000000000 ? n : n * 1000;
+    } else if (typeof expire === "string") {
+        const duration = parseDuration(expire);
+        ms = duration !== undefined ? now + duration : /^\d{4}-\d{2}-\d{2}/.test(expire.trim()) ? Date.parse(expire) : NaN;
+    }
+    return Number.isFinite(ms) ? ms : undefined;
+}
+
+/**
+ * Checks a string option
+ * @param {*} value - Option value
+ * @param {number} maxLength - Longest value accepted
+ * @returns {string|undefined} Reason the value is rejected
+ */
+function checkString(value, maxLength) {
+    if (typeof value !== "string") {
+        return "must be a string";
+    }
+    if (value.length > maxLength) {
+        return `must be at most ${maxLength} characters long`;
+    }
+    return undefined;
+}
+
+/**
+ * Normalizes the upload options, collecting every problem instead of
+ * stopping at the first one. Options that are not sent to the server
+ * (`onProgress`, `signal`, ...) are left out.
+ * @param {UploadOptions} [options] - Options for the upload
+ * @param {NormalizeContext} [context]
+ * @returns {{options: NormalizedUploadOptions, problems: OptionProblem[]}}
+ */
+function checkUploadOptions(options = {}, context = {}) {
+    const now = context.now === undefined ? Date.now() : context.now;
+    const normalized = {};
+    const problems = [];
+    const problem = (field, reason) => problems.push({ field, reason });
+
+    for (const [field, maxLength] of [["description", 1000], ["ac", 20]]) {
+        if (!isUnset(options[field])) {
+            const reason = checkString(options[field], maxLength);
+            if (reason) {
+                problem(field, reason);
+            } else {
+                normalized[field] = options[field];
+            }
+        }
+    }
+
+    if (!isUnset(options.tags)) {
+        const list = typeof options.tags === "string" ? options.tags.split(",") : options.tags;
+        if (!Array.isArray(list) || list.some(t => typeof t !== "string")) {
+            problem("tags", "must be a comma-separated string or an array of strings");
+        } else {
+            const tags = list.map(t => t.trim()).filter(t => t !== "");
+            if (Array.isArray(options.tags) && tags.some(t => t.includes(","))) {
+                problem("tags", "must not contain commas");
+            } else if (tags.join(",").length > 1000) {
+                problem("tags", "must be at most 1000 characters long once joined");
+            } else if (tags.length > 0) {
+                normalized.tags = tags;
+            }
+        }
+    }
+
+    if (!isUnset(options.email)) {
+        if (typeof options.email !== "string" || !/.+@.+\..+/i.test(options.email)) {
+            problem("email", "must be an email address");
+        } else {
+            normalized.email = options.email;
+        }
+    }
+
+    if (!isUnset(options.password)) {
+        if (typeof options.password !== "string" || !/^[a-z0-9]{6,20}$/i.test(options.password)) {
+            problem("password", "must be 6 to 20 letters or digits");
+        } else {
+            normalized.password = options.password;
+        }
+    }
+
+    if (!isUnset(options.expire)) {
+        const ms = expireToMillis(options.expire, now);
+        if (ms === undefined) {
+            problem("expire", 'must be a Date, an epoch time, an ISO 8601 date or a duration such as "7d"');
+        } else if (ms <= now) {
+            problem("expire", "must be in the future");
+        } else {
+            normalized.expire = Math.round(ms / 1000);
+        }
+    }
+
+    return { options: normalized, problems };
+}
+
+/**
+ * Normalizes the upload options before anything is sent: expiration dates
+ * become epoch seconds and tags become a list.
+ * @param {UploadOptions} [options] - Options for the upload
+ * @param {NormalizeContext} [context]
+ * @returns {NormalizedUploadOptions}
+ * @throws {GofileValidationError} Listing every problem in `problems`; `field` names the first one
+ */
+function normalizeUploadOptions(options = {}, context = {}) {
+    const checked = checkUploadOptions(options, context);
+    if (checked.problems.length > 0) {
+        const { problems } = checked;
+        throw new GofileValidationError(`Invalid upload options: ${problems.map(p => `${p.field} ${p.reason}`).join("; ")}.`, {
+            field: problems[0].field,
+            problems,
+        });
+    }
+    return checked.options;
+}
+
+/**
+ * Form fields of normalized upload options
+ * @param {NormalizedUploadOptions} normalized - Result of {@link normalizeUploadOptions}
+ * @returns {Array<[string, string|number]>}
+ */
+function uploadFormFields(normalized) {
+    const fields = [];
+    for (const key of ["description", "tags", "ac", "email", "password", "expire"]) {
+        if (normalized[key] !== undefined) {
+            fields.push([key, key === "tags" ? normalized.tags.join(",") : normalized[key]]);
+        }
+    }
+    return fields;
+}
+
+module.exports = {
+    normalizeUploadOptions,
+    checkUploadOptions,
+    uploadFormFields,
+    expireToMillis,
+    parseDuration,
+};
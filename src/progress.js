@@ -0,0 +1,221 @@
+const fs = require("fs");
+const stream = require("stream");
+
+const { isBlob, isWebStream } = require("./web");
+
+/** @typedef {import("./index").FileUpload} FileUpload */
+
+/**
+ * Progress of a single file or of a whole transfer
+ * @typedef {object} ProgressStats
+ * @property {number} transferred - Bytes transferred so far
+ * @property {number} [total] - Total bytes, when known
+ * @property {number} rate - Average transfer rate in bytes per second
+ * @property {number} [eta] - Estimated seconds until completion, when the total is known
+ */
+/**
+ * Progress report passed to `onProgress`
+ * @typedef {object} ProgressEvent
+ * @property {"upload"|"download"} direction - Direction of the transfer
+ * @property {ProgressStats} file - Progress of the file that moved
+ * @property {number} file.index - Index of the file in the transfer
+ * @property {string} [file.name] - File name
+ * @property {boolean} file.done - Whether the file is complete
+ * @property {ProgressStats} overall - Progress of all files of the transfer
+ * @property {number} overall.files - Number of files in the transfer
+ * @property {number} overall.completed - Number of files that are complete
+ */
+/**
+ * @callback ProgressCallback
+ * @param {ProgressEvent} event - Progress report
+ */
+
+const CHUNK_SIZE = 64 * 1024;
+
+function stats(transferred, total, startedAt) {
+    const elapsed = (Date.now() - startedAt) / 1000;
+    const rate = elapsed > 0 ? transferred / elapsed : 0;
+    return {
+        transferred,
+        total,
+        rate,
+        eta: total !== undefined && rate > 0 ? Math.max(0, total - transferred) / rate : undefined,
+    };
+}
+
+/**
+ * Aggregates byte counts of several files and reports them through a callback,
+ * at most once per `interval` except when a file completes
+ */
+class ProgressTracker {
+    /**
+     * @param {"upload"|"download"} direction - Direction of the transfer
+     * @param {Array<{name: string, total: number}>} files - Files of the transfer, `total` may be undefined
+     * @param {ProgressCallback} [onProgress] - Receives the reports
+     * @param {number} [interval] - Minimum milliseconds between two reports
+     */
+    constructor(direction, files, onProgress, interval = 100) {
+        this.direction = direction;
+        this.onProgress = onProgress;
+        this.interval = interval;
+        this.startedAt = Date.now();
+        this.lastEmit = 0;
+        this.files = files.map(f => ({
+            name: f.name,
+            total: f.total,
+            transferred: 0,
+            startedAt: undefined,
+            done: false,
+        }));
+    }
+
+    /**
+     * Sets the size of a file once it is known
+     * @param {number} index - Index of the file
+     * @param {number} total - Size in bytes
+     */
+    setTotal(index, total) {
+        this.files[index].total = total;
+    }
+
+    /**
+     * Restarts the count of a file, e.g. before it is sent again
+     * @param {number} index - Index of the file
+     */
+    reset(index) {
+        const f = this.files[index];
+        f.transferred = 0;
+        f.startedAt = Date.now();
+        f.done = false;
+    }
+
+    /**
+     * Records bytes transferred for a file
+     * @param {number} index - Index of the file
+     * @param {number} bytes - Number of new bytes
+     */
+    add(index, bytes) {
+        const f = this.files[index];
+        if (f.startedAt === undefined) {
+            f.startedAt = Date.now();
+        }
+        f.transferred += bytes;
+        if (Date.now() - this.lastEmit >= this.interval) {
+            this.emit(index);
+        }
+    }
+
+    /**
+     * Marks a file as complete
+     * @param {number} index - Index of the file
+     */
+    done(index) {
+        const f = this.files[index];
+        if (f.startedAt === undefined) {
+            f.startedAt = Date.now();
+        }
+        if (f.total === undefined) {
+            f.total = f.transferred;
+        }
+        f.done = true;
+        this.emit(index);
+    }
+
+    emit(index) {
+        if (!this.onProgress) {
+            return;
+        }
+        this.lastEmit = Date.now();
+
+        const f = this.files[index];
+        const known = this.files.every(file => file.total !== undefined);
+        const overall = stats(
+            this.files.reduce((sum, file) => sum + file.transferred, 0),
+            known ? this.files.reduce((sum, file) => sum + file.total, 0) : undefined,
+            this.startedAt
+        );
+        this.onProgress({
+            direction: this.direction,
+            file: {
+                index,
+                name: f.name,
+                done: f.done,
+                ...stats(f.transferred, f.total, f.startedAt),
+            },
+            overall: {
+                files: this.files.length,
+                completed: this.files.filter(file => file.done).length,
+                ...overall,
+            },
+        });
+    }
+
+    /**
+     * Creates a pass-through stream counting the bytes of a file
+     * @param {number} index - Index of the file
+     * @param {function(Buffer): void} [onChunk] - Also called with every chunk
+     * @returns {stream.Transform}
+     */
+    counter(index, onChunk) {
+        return new stream.Transform({
+            transform: (chunk, encoding, callback) => {
+                this.add(index, chunk.length);
+                if (onChunk) {
+                    onChunk(chunk);
+                }
+                callback(null, chunk);
+            },
+        });
+    }
+}
+
+/**
+ * Size of the data of a file to upload, when it can be known up front
+ * @param {FileUpload} f - File to upload
+ * @returns {number|undefined}
+ */
+function knownSize(f) {
+    if (typeof f.size === "number") {
+        return f.size;
+    }
+    if (typeof f.file === "function" || isWebStream(f.file)) {
+        return undefined;
+    }
+    if (isBlob(f.file)) {
+        return f.file.size;
+    }
+    if (!(f.file instanceof stream.Readable)) {
+        return f.file.byteLength !== undefined ? f.file.byteLength : f.file.length;
+    }
+    if (typeof f.file.path === "string" && f.file.start === undefined && f.file.end === Infinity) {
+        try {
+            return fs.statSync(f.file.path).size;
+        } catch (e) {
+            return undefined;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Turns a Buffer into a stream of small chunks so that sending it can be followed
+ * @param {Buffer|ArrayBuffer} data - File data
+ * @returns {stream.Readable}
+ */
+function chunked(data) {
+    const buf = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    return stream.Readable.from(
+        (function* () {
+            for (let i = 0; i < buf.length; i += CHUNK_SIZE) {
+                yield buf.subarray(i, i + CHUNK_SIZE);
+            }
+        })(),
+        { objectMode: false }
+    );
+}
+
+module.exports = {
+    ProgressTracker,
+    knownSize,
+    chunked,
+};
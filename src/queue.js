@@ -0,0 +1,326 @@
+const { EventEmitter } = require("events");
+
+const { GofileAbortError, GofileValidationError } = require("./errors");
+const { normalizeUploadOptions } = require("./options");
+
+/** @typedef {import("./index").FileUpload} FileUpload */
+/** @typedef {import("./index").UploadOptions} UploadOptions */
+/** @typedef {import("./index").UploadResult} UploadResult */
+/** @typedef {import("./client").GofileClient} GofileClient */
+
+/**
+ * Options for creating an upload queue
+ * @typedef {object} UploadQueueOptions
+ * @property {number} [concurrency] - Number of uploads running at the same time (default 4)
+ * @property {GofileClient} [client] - Client performing the uploads (default: a client with default options)
+ * @property {UploadOptions} [options] - Upload options applied to every job, merged under the options of the job
+ * @property {AbortSignal} [signal] - Cancels the whole queue: queued jobs are dropped and running uploads are aborted
+ * @property {boolean} [paused] - Create the queue paused (default false)
+ */
+/**
+ * Options of a single job
+ * @typedef {object} UploadJobOptions
+ * @property {number} [priority] - Jobs with a higher priority start first; equal priorities start in order (default 0)
+ * @property {AbortSignal} [signal] - Cancels this job only
+ * @property {UploadOptions} [options] - Upload options of this job
+ */
+/**
+ * Counts of the jobs of a batch, handed out when the queue drains
+ * @typedef {object} UploadQueueSummary
+ * @property {number} total - Number of jobs in the batch
+ * @property {number} completed - Jobs that were uploaded
+ * @property {number} failed - Jobs that failed
+ * @property {number} cancelled - Jobs that were cancelled
+ * @property {UploadJob[]} jobs - Jobs of the batch, in the order they were added
+ */
+
+/**
+ * Stand-in for `AbortController` on Node.js versions without it (before 15).
+ * Its signal has what the client uses: `aborted` and the abort listeners.
+ */
+class Controller {
+    constructor() {
+        const listeners = new EventEmitter();
+        this.listeners = listeners;
+        this.signal = {
+            aborted: false,
+            addEventListener(type, listener, options = {}) {
+                if (options.once) {
+                    listeners.once(type, listener);
+                } else {
+                    listeners.on(type, listener);
+                }
+            },
+            removeEventListener(type, listener) {
+                listeners.removeListener(type, listener);
+            },
+        };
+    }
+
+    abort() {
+        if (!this.signal.aborted) {
+            this.signal.aborted = true;
+            this.listeners.emit("abort");
+        }
+    }
+}
+
+/**
+ * A file, or group of files, waiting in or handled by an {@link UploadQueue}.
+ * Each job becomes its own upload.
+ */
+class UploadJob {
+    /**
+     * @param {number} id - Sequence number of the job in its queue
+     * @param {FileUpload[]} files - Files uploaded together
+     * @param {UploadJobOptions} opts - Job options
+     */
+    constructor(id, files, opts) {
+        this.id = id;
+        this.files = files;
+        this.priority = opts.priority || 0;
+        this.options = opts.options || {};
+        /** @type {"queued"|"active"|"completed"|"failed"|"cancelled"} */
+        this.status = "queued";
+        /** @type {UploadResult|undefined} */
+        this.result = undefined;
+        /** @type {Error|undefined} */
+        this.error = undefined;
+        this.controller = typeof AbortController === "function" ? new AbortController() : new Controller();
+    }
+
+    /**
+     * Cancels the job, aborting its upload when it already started
+     */
+    cancel() {
+        this.controller.abort();
+    }
+}
+
+/**
+ * Runs uploads with a bounded concurrency. Jobs start by priority; within a
+ * batch (from the first job until the queue drains) every upload goes to the
+ * same server, looked up once.
+ *
+ * Events: `active` (job), `completed` (job), `failed` (job), `cancelled` (job),
+ * `drain` ({@link UploadQueueSummary}).
+ */
+class UploadQueue extends EventEmitter {
+    /**
+     * @param {GofileClient} client - Client performing the uploads
+     * @param {UploadQueueOptions} [options] - Queue options
+     */
+    constructor(client, options = {}) {
+        super();
+        const concurrency = options.concurrency === undefined ? 4 : options.concurrency;
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            throw new GofileValidationError("Concurrency must be a positive integer.", { field: "concurrency" });
+        }
+        this.client = client;
+        this.concurrency = concurrency;
+        this.options = options.options || {};
+        this.paused = !!options.paused;
+        this.pending = [];
+        this.active = new Set();
+        this.batch = [];
+        this.server = undefined;
+        this.nextId = 1;
+        this.waiting = [];
+
+        this.signal = options.signal;
+        if (this.signal) {
+            if (this.signal.aborted) {
+                this.paused = true;
+            } else {
+                this.signal.addEventListener("abort", () => this.cancel(), { once: true });
+            }
+        }
+    }
+
+    /**
+     * Queues a file, or files to upload together
+     * @param {FileUpload|FileUpload[]} files - File or files of the job
+     * @param {UploadJobOptions} [opts] - Job options
+     * @returns {UploadJob}
+     */
+    add(files, opts = {}) {
+        const list = Array.isArray(files) ? files : [files];
+        if (list.length === 0 || list.some(f => !f || f.file === undefined)) {
+            throw new GofileValidationError("A job needs at least one file.", { field: "files" });
+        }
+        if (this.signal && this.signal.aborted) {
+            throw new GofileAbortError("The queue was cancelled");
+        }
+        normalizeUploadOptions({ ...this.options, ...opts.options });
+
+        const job = new UploadJob(this.nextId++, list, opts);
+        if (opts.signal) {
+            if (opts.signal.aborted) {
+                job.cancel();
+            } else {
+                const onAbort = () => job.cancel();
+                opts.signal.addEventListener("abort", onAbort, { once: true });
+                job.detach = () => opts.signal.removeEventListener("abort", onAbort);
+            }
+        }
+        job.controller.signal.addEventListener("abort", () => this.dequeue(job), { once: true });
+
+        this.batch.push(job);
+        // Keep the pending jobs sorted by priority, first come first served on ties
+        const index = this.pending.findIndex(j => j.priority < job.priority);
+        this.pending.splice(index === -1 ? this.pending.length : index, 0, job);
+
+        if (job.controller.signal.aborted) {
+            this.dequeue(job);
+        } else {
+            this.next();
+        }
+        return job;
+    }
+
+    /**
+     * Stops starting new jobs. Running uploads carry on.
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Starts jobs again after {@link UploadQueue#pause}
+     */
+    resume() {
+        if (this.signal && this.signal.aborted) {
+            return;
+        }
+        this.paused = false;
+        this.next();
+    }
+
+    /**
+     * Cancels every queued and running job
+     */
+    cancel() {
+        for (const job of [...this.pending, ...this.active]) {
+            job.cancel();
+        }
+    }
+
+    /**
+     * Number of jobs waiting to start
+     * @returns {number}
+     */
+    get size() {
+        return this.pending.length;
+    }
+
+    /**
+     * Waits until no job is queued or running
+     * @returns {Promise<UploadQueueSummary>} Summary of the batch that drained
+     */
+    drain() {
+        if (this.pending.length === 0 && this.active.size === 0) {
+            return Promise.resolve(this.summary());
+        }
+        return new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    summary() {
+        const count = status => this.batch.filter(j => j.status === status).length;
+        return {
+            total: this.batch.length,
+            completed: count("completed"),
+            failed: count("failed"),
+            cancelled: count("cancelled"),
+            jobs: this.batch.slice(),
+        };
+    }
+
+    /**
+     * Drops a cancelled job that has not started yet
+     * @param {UploadJob} job - Cancelled job
+     */
+    dequeue(job) {
+        const index = this.pending.indexOf(job);
+        if (index === -1) {
+            return;
+        }
+        this.pending.splice(index, 1);
+        this.finish(job, "cancelled");
+    }
+
+    next() {
+        while (!this.paused && this.active.size < this.concurrency && this.pending.length > 0) {
+            this.run(this.pending.shift());
+        }
+        this.checkDrain();
+    }
+
+    async run(job) {
+        this.active.add(job);
+        job.status = "active";
+        this.emit("active", job);
+
+        const signal = job.controller.signal;
+        try {
+            const server = await this.batchServer();
+            job.result = await this.client.uploadFiles(job.files, {
+                ...this.options,
+                ...job.options,
+                server,
+                signal,
+            });
+            this.active.delete(job);
+            this.finish(job, signal.aborted && job.result.failed > 0 ? "cancelled" : "completed");
+        } catch (e) {
+            this.active.delete(job);
+            job.error = e;
+            this.finish(job, signal.aborted ? "cancelled" : "failed");
+        }
+        this.next();
+    }
+
+    /**
+     * Looks up the server of the current batch once. When the lookup fails,
+     * each upload looks one up on its own.
+     * @returns {Promise<string|undefined>}
+     */
+    async batchServer() {
+        if (this.options.server) {
+            return this.options.server;
+        }
+        if (!this.server) {
+            this.server = this.client.getServer().catch(e => {
+                this.client.logger.warn(`Looking up the server of the queue failed: ${e.message}`);
+                return undefined;
+            });
+        }
+        return this.server;
+    }
+
+    finish(job, status) {
+        job.status = status;
+        if (job.detach) {
+            job.detach();
+        }
+        this.emit(status, job);
+        this.checkDrain();
+    }
+
+    checkDrain() {
+        if (this.pending.length > 0 || this.active.size > 0 || this.batch.length === 0) {
+            return;
+        }
+        const summary = this.summary();
+        this.batch = [];
+        this.server = undefined;
+        this.emit("drain", summary);
+        for (const resolve of this.waiting.splice(0)) {
+            resolve(summary);
+        }
+    }
+}
+
+module.exports = {
+    UploadQueue,
+    UploadJob,
+};
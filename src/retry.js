@@ -0,0 +1,136 @@
+const { GofileApiError, GofileNetworkError } = require("./errors");
+
+/**
+ * Retry policy of a client
+ * @typedef {object} RetryOptions
+ * @property {number} [attempts] - Maximum number of attempts per request, including the first one (default 3)
+ * @property {number} [minDelay] - Delay before the first retry in milliseconds (default 500)
+ * @property {number} [maxDelay] - Upper bound of the backoff delay in milliseconds (default 30000)
+ * @property {number} [factor] - Growth factor of the delay between attempts (default 2)
+ * @property {boolean} [jitter] - Randomize each delay between 0 and the backoff delay (default true)
+ * @property {number[]} [statusCodes] - HTTP status codes that can be retried
+ * @property {string[]} [errorCodes] - Network error codes that can be retried
+ * @property {boolean} [retryAfter] - Wait as long as a `Retry-After` header asks (default true)
+ * @property {number} [maxRetryAfter] - Give up instead of waiting when `Retry-After` asks for longer than this many milliseconds (default 60000)
+ * @property {boolean} [failover] - Fetch a new server before retrying a failed upload (default true)
+ */
+
+const DEFAULT_RETRY = {
+    attempts: 3,
+    minDelay: 500,
+    maxDelay: 30000,
+    factor: 2,
+    jitter: true,
+    statusCodes: [408, 425, 429, 500, 502, 503, 504],
+    errorCodes: ["ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN", "ENETUNREACH", "EHOSTUNREACH", "ERR_NETWORK"],
+    retryAfter: true,
+    maxRetryAfter: 60000,
+    failover: true,
+};
+
+/**
+ * Fills in the defaults of a retry policy
+ * @param {RetryOptions|number|false} [options] - Policy, number of attempts, or `false` to disable retries
+ * @returns {RetryOptions}
+ */
+function normalizeRetryOptions(options) {
+    if (options === false) {
+        return { ...DEFAULT_RETRY, attempts: 1 };
+    }
+    const policy = typeof options === "number" ? { ...DEFAULT_RETRY, attempts: options } : { ...DEFAULT_RETRY, ...options };
+    policy.attempts = Math.max(1, Math.floor(policy.attempts) || 1);
+    return policy;
+}
+
+/**
+ * Tells whether a failed request may be attempted again
+ * @param {Error} e - Error the request failed with
+ * @param {RetryOptions} policy - Retry policy
+ * @returns {boolean}
+ */
+function isRetryable(e, policy) {
+    if (e instanceof GofileNetworkError) {
+        return policy.errorCodes.includes(e.code);
+    }
+    if (e instanceof GofileApiError) {
+        return policy.statusCodes.includes(e.httpStatus);
+    }
+    return false;
+}
+
+/**
+ * Reads a `Retry-After` header
+ * @param {object} [headers] - Response headers
+ * @returns {number|undefined} Delay in milliseconds
+ */
+function parseRetryAfter(headers) {
+    const value = headers && headers["retry-after"];
+    if (value === undefined || value === null || value === "") {
+        return undefined;
+    }
+    if (/^\d+(\.\d+)?$/.test(String(value).trim())) {
+        return Number(value) * 1000;
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Computes how long to wait before the next attempt
+ * @param {number} attempt - Number of the attempt that just failed, starting at 1
+ * @param {RetryOptions} policy - Retry policy
+ * @param {Error} e - Error the attempt failed with
+ * @returns {number|undefined} Delay in milliseconds, or undefined when the server asks to wait longer than allowed
+ */
+function retryDelay(attempt, policy, e) {
+    if (policy.retryAfter) {
+        const retryAfter = parseRetryAfter(e.headers);
+        if (retryAfter !== undefined) {
+            return retryAfter <= policy.maxRetryAfter ? retryAfter : undefined;
+        }
+    }
+    const backoff = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt - 1));
+    return Math.round(policy.jitter ? Math.random() * backoff : backoff);
+}
+
+/**
+ * Tells whether a request body can be sent again. Streams, Node.js and WHATWG
+ * ones alike, are consumed by the first attempt.
+ * @param {*} data - Request body
+ * @returns {boolean}
+ */
+function isReplayable(data) {
+    return !(data && (typeof data.pipe === "function" || typeof data.getReader === "function"));
+}
+
+/**
+ * Waits for a delay, or until `signal` is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cuts the wait short
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        const done = () => {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener("abort", done);
+            }
+            resolve();
+        };
+        const timer = setTimeout(done, ms);
+        if (signal) {
+            signal.addEventListener("abort", done, { once: true });
+        }
+    });
+}
+
+module.exports = {
+    DEFAULT_RETRY,
+    normalizeRetryOptions,
+    isRetryable,
+    parseRetryAfter,
+    retryDelay,
+    isReplayable,
+    sleep,
+};
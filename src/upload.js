@@ -0,0 +1,131 @@
+const fs = require("fs");
+const path = require("path");
+const stream = require("stream");
+
+const archiver = require("archiver");
+
+const { GofileValidationError } = require("./errors");
+const { normalizeUploadOptions } = require("./options");
+const { walk } = require("./walk");
+
+/** @typedef {import("./index").UploadOptions} UploadOptions */
+/** @typedef {import("./walk").WalkOptions} WalkOptions */
+/** @typedef {import("./index").UploadResult} UploadResult */
+/** @typedef {import("./client").GofileClient} GofileClient */
+
+/**
+ * Options for uploading a directory, file or glob
+ * @typedef {UploadOptions & WalkOptions} UploadPathOptions
+ * @property {boolean|string} [archive] - Upload everything as one zip built on the fly. A string sets the name of the zip (default `<directory>.zip`).
+ * @property {string} [separator] - Joins the segments of relative paths in file names. By default `/` is encoded as `%2F` (and `%` as `%25`), which {@link decodeRelativePath} reverses.
+ */
+/**
+ * Where a local file ended up
+ * @typedef {object} ManifestEntry
+ * @property {string} relativePath - Path relative to the uploaded directory, with forward slashes
+ * @property {string} name - Name of the uploaded file
+ * @property {string} [archivePath] - Path of the file inside the zip, in archive mode
+ * @property {object} file - Entry of the file in {@link UploadResult}`.files`
+ */
+/**
+ * Result of uploading a directory, file or glob
+ * @typedef {UploadResult} UploadPathResult
+ * @property {Object<string, ManifestEntry>} manifest - Uploaded file of each local path
+ */
+
+/**
+ * Encodes a relative path into a single file name
+ * @param {string} relativePath - Path with forward slashes
+ * @param {string} [separator] - Replacement for the slashes, see {@link UploadPathOptions}
+ * @returns {string}
+ */
+function encodeRelativePath(relativePath, separator) {
+    if (separator !== undefined) {
+        return relativePath.split("/").join(separator);
+    }
+    return relativePath.replace(/%/g, "%25").replace(/\//g, "%2F");
+}
+
+/**
+ * Reverses the default encoding of {@link encodeRelativePath}
+ * @param {string} name - Uploaded file name
+ * @returns {string}
+ */
+function decodeRelativePath(name) {
+    return name.replace(/%2F/gi, "/").replace(/%25/g, "%");
+}
+
+/**
+ * Creates a zip of files, streamed as it is read
+ * @param {LocalFile[]} files - Files to put in the zip
+ * @returns {stream.Readable}
+ */
+function zipStream(files) {
+    const zip = archiver("zip", { zlib: { level: 6 } });
+    // archiver streams are not instances of the core stream classes
+    const out = new stream.PassThrough();
+    zip.on("error", e => out.destroy(e));
+    zip.on("warning", e => out.destroy(e));
+    zip.pipe(out);
+    for (const f of files) {
+        zip.file(f.path, { name: f.relativePath });
+    }
+    zip.finalize();
+    return out;
+}
+
+/**
+ * Uploads a directory (recursively), a single file, or the files matching a glob
+ * @param {GofileClient} client - Client used for the upload
+ * @param {string} pathOrGlob - Directory, file or glob pattern
+ * @param {UploadPathOptions} [options] - Options for the upload
+ * @returns {Promise<UploadPathResult>}
+ */
+async function uploadPath(client, pathOrGlob, options = {}) {
+    if (typeof pathOrGlob !== "string" || pathOrGlob === "") {
+        throw new GofileValidationError("pathOrGlob must be a non-empty string.", { field: "path" });
+    }
+    // Fail on bad options before walking the tree
+    normalizeUploadOptions(options);
+    const { root, files } = await walk(pathOrGlob, options);
+    if (files.length === 0) {
+        throw new GofileValidationError(`No files to upload in ${pathOrGlob}`, { field: "path" });
+    }
+
+    const manifest = {};
+    if (options.archive) {
+        const rootName = path.basename(path.resolve(root));
+        const fn = typeof options.archive === "string" ? options.archive : `${rootName || "upload"}.zip`;
+        const result = await client.uploadFiles([{ file: () => zipStream(files), fn }], options);
+        for (const f of files) {
+            manifest[f.path] = {
+                relativePath: f.relativePath,
+                name: fn,
+                archivePath: f.relativePath,
+                file: result.files[0],
+            };
+        }
+        return { ...result, manifest };
+    }
+
+    const uploads = files.map(f => ({
+        file: () => fs.createReadStream(f.path),
+        fn: encodeRelativePath(f.relativePath, options.separator),
+        size: f.size,
+    }));
+    const result = await client.uploadFiles(uploads, options);
+    files.forEach((f, i) => {
+        manifest[f.path] = {
+            relativePath: f.relativePath,
+            name: uploads[i].fn,
+            file: result.files[i],
+        };
+    });
+    return { ...result, manifest };
+}
+
+module.exports = {
+    uploadPath,
+    encodeRelativePath,
+    decodeRelativePath,
+};
@@ -0,0 +1,131 @@
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+
+const { GofileValidationError } = require("./errors");
+const { globToRegExp, isGlob } = require("./glob");
+const { IgnoreRules } = require("./ignore");
+
+const stat = util.promisify(fs.stat);
+const lstat = util.promisify(fs.lstat);
+const readdir = util.promisify(fs.readdir);
+const realpath = util.promisify(fs.realpath);
+
+/**
+ * Options for collecting local files
+ * @typedef {object} WalkOptions
+ * @property {string|string[]} [ignore] - Extra ignore patterns, relative to the walked directory
+ * @property {string|false} [ignoreFile] - Name of the ignore files read in every directory (default `.gofileignore`, `false` to read none)
+ * @property {boolean} [followSymlinks] - Descend into symbolic links to directories (default false)
+ */
+/**
+ * A local file found by {@link walk}
+ * @typedef {object} LocalFile
+ * @property {string} path - Path of the file, as reachable from the working directory
+ * @property {string} relativePath - Path relative to the walked directory, with forward slashes
+ * @property {number} size - File size
+ */
+
+/**
+ * Splits a glob into the directory it starts from and the pattern applied below it
+ * @param {string} pattern - Glob pattern
+ * @returns {{base: string, pattern: string}}
+ */
+function splitGlob(pattern) {
+    const segments = pattern.replace(/\\/g, "/").split("/");
+    const index = segments.findIndex(isGlob);
+    const base = segments.slice(0, index).join("/");
+    return {
+        base: base === "" && pattern.startsWith("/") ? "/" : base || ".",
+        pattern: segments.slice(index).join("/"),
+    };
+}
+
+/**
+ * Collects the files under a directory, a single file, or the files matching a glob
+ * @param {string} pathOrGlob - Directory, file or glob pattern
+ * @param {WalkOptions} [opts] - Walk options
+ * @returns {Promise<{root: string, files: LocalFile[]}>} The directory relative paths start from, and the files found
+ */
+async function walk(pathOrGlob, opts = {}) {
+    const ignoreFile = opts.ignoreFile === undefined ? ".gofileignore" : opts.ignoreFile;
+    let root = pathOrGlob;
+    let match = () => true;
+
+    if (isGlob(pathOrGlob)) {
+        const { base, pattern } = splitGlob(pathOrGlob);
+        const re = globToRegExp(pattern);
+        root = base;
+        match = rel => re.test(rel);
+    }
+
+    let st;
+    try {
+        st = await stat(root);
+    } catch (e) {
+        throw new GofileValidationError(`Cannot read ${root}: ${e.message}`, { field: "path" });
+    }
+    if (st.isFile()) {
+        return {
+            root: path.dirname(root),
+            files: [{ path: root, relativePath: path.basename(root), size: st.size }],
+        };
+    }
+    if (!st.isDirectory()) {
+        throw new GofileValidationError(`${root} is neither a file nor a directory`, { field: "path" });
+    }
+
+    const rules = new IgnoreRules();
+    if (opts.ignore) {
+        rules.add(opts.ignore);
+    }
+
+    const files = [];
+    const visited = new Set();
+    async function visit(dir, rel) {
+        if (opts.followSymlinks) {
+            const real = await realpath(dir);
+            if (visited.has(real)) {
+                return;
+            }
+            visited.add(real);
+        }
+        if (ignoreFile) {
+            await rules.addFile(path.join(dir, ignoreFile), rel);
+        }
+
+        const names = (await readdir(dir)).sort();
+        for (const name of names) {
+            const full = path.join(dir, name);
+            const childRel = rel ? `${rel}/${name}` : name;
+            let childStat = await lstat(full);
+            if (childStat.isSymbolicLink()) {
+                try {
+                    childStat = await stat(full);
+                } catch (e) {
+                    // Dangling link
+                    continue;
+                }
+                if (childStat.isDirectory() && !opts.followSymlinks) {
+                    continue;
+                }
+            }
+
+            if (childStat.isDirectory()) {
+                if (!rules.ignores(childRel, true)) {
+                    await visit(full, childRel);
+                }
+            } else if (childStat.isFile() && name !== ignoreFile && !rules.ignores(childRel) && match(childRel)) {
+                files.push({ path: full, relativePath: childRel, size: childStat.size });
+            }
+        }
+    }
+    await visit(root, "");
+
+    return { root, files };
+}
+
+module.exports = {
+    walk,
+    splitGlob,
+};
@@ -0,0 +1,181 @@
+const { EventEmitter } = require("events");
+
+const { GofileNotFoundError, GofileValidationError } = require("./errors");
+const { expireToMillis } = require("./options");
+
+/** @typedef {import("./index").UploadInfo} UploadInfo */
+/** @typedef {import("./index").FileInfo} FileInfo */
+/** @typedef {import("./client").GofileClient} GofileClient */
+
+/**
+ * Options for watching an upload
+ * @typedef {object} WatchOptions
+ * @property {number} [interval] - Time between two checks in milliseconds (default 60000)
+ * @property {string} [password] - Password of the upload
+ * @property {number|string|Date} [expire] - Expiration of the upload, as passed to `uploadFiles`. Looked up in the ledger of the client when omitted.
+ * @property {number} [expiryWarning] - How long before the expiration `expiring` is emitted, in milliseconds (default one day)
+ * @property {AbortSignal} [signal] - Stops watching
+ */
+/**
+ * Change of the view count of an upload
+ * @typedef {object} ViewsChange
+ * @property {number} views - Current view count
+ * @property {number} previous - View count at the previous check
+ */
+/**
+ * Approaching expiration of an upload
+ * @typedef {object} ExpiryNotice
+ * @property {number} expiresAt - Expiration time in milliseconds since the epoch
+ * @property {number} remaining - Milliseconds left
+ */
+
+/**
+ * Files of an upload info, by file ID
+ * @param {UploadInfo} info - Upload info
+ * @returns {Map<string, FileInfo>}
+ */
+function filesById(info) {
+    const files = info.files || {};
+    return new Map(Object.keys(files).map(k => [k, files[k]]));
+}
+
+/**
+ * Polls an upload and reports what changes. The first check only records the
+ * state of the upload; later checks compare against the previous one.
+ * Checks always ask the API, and refresh the cached info of the client.
+ *
+ * Events: `update` ({@link UploadInfo}, after every check), `views`
+ * ({@link ViewsChange}), `filesAdded` ({@link FileInfo}[]), `filesRemoved`
+ * ({@link FileInfo}[]), `expiring` ({@link ExpiryNotice}, once), `gone`
+ * ({@link GofileNotFoundError}, after which watching stops) and `error` (failed
+ * checks; without an `error` listener they are only logged).
+ */
+class UploadWatcher extends EventEmitter {
+    /**
+     * @param {GofileClient} client - Client performing the checks
+     * @param {string} code - Upload ID
+     * @param {WatchOptions} [options] - Watch options
+     */
+    constructor(client, code, options = {}) {
+        super();
+        const interval = options.interval === undefined ? 60000 : options.interval;
+        if (typeof interval !== "number" || !(interval > 0)) {
+            throw new GofileValidationError("Interval must be a positive number of milliseconds.", { field: "interval" });
+        }
+        this.client = client;
+        this.code = code;
+        this.interval = interval;
+        this.password = options.password || "";
+        this.expiresAt = expireToMillis(options.expire);
+        this.expiryWarning = options.expiryWarning === undefined ? 24 * 60 * 60 * 1000 : options.expiryWarning;
+        this.warned = false;
+        /** @type {UploadInfo|undefined} */
+        this.info = undefined;
+        this.stopped = false;
+
+        this.signal = options.signal;
+        if (this.signal) {
+            if (this.signal.aborted) {
+                this.stopped = true;
+                return;
+            }
+            this.onAbort = () => this.stop();
+            this.signal.addEventListener("abort", this.onAbort, { once: true });
+        }
+        // First check on the next tick, once the caller attached its listeners
+        this.timer = setTimeout(() => this.check(), 0);
+    }
+
+    /**
+     * Stops watching. A check already running completes without emitting.
+     */
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        if (this.onAbort) {
+            this.signal.removeEventListener("abort", this.onAbort);
+        }
+    }
+
+    async check() {
+        let info;
+        try {
+            if (this.expiresAt === undefined && this.client.ledger) {
+                const entry = await this.client.ledger.get(this.code);
+                this.expiresAt = entry && entry.expiresAt;
+            }
+            info = await this.client.getUploadInfo(this.code, this.password, { fresh: true });
+        } catch (e) {
+            if (this.stopped) {
+                return;
+            }
+            if (e instanceof GofileNotFoundError) {
+                this.client.logger.info(`Upload ${this.code} is gone`);
+                this.stop();
+                this.emit("gone", e);
+                return;
+            }
+            if (this.listenerCount("error") > 0) {
+                this.emit("error", e);
+            } else {
+                this.client.logger.warn(`Checking upload ${this.code} failed: ${e.message}`);
+            }
+            this.schedule();
+            return;
+        }
+        if (this.stopped) {
+            return;
+        }
+
+        const previous = this.info;
+        this.info = info;
+        if (previous) {
+            this.compare(previous, info);
+        }
+        this.emit("update", info);
+        this.checkExpiry();
+        this.schedule();
+    }
+
+    /**
+     * Emits the differences between two checks
+     * @param {UploadInfo} previous - Info of the previous check
+     * @param {UploadInfo} info - Info of this check
+     */
+    compare(previous, info) {
+        if (info.views !== previous.views) {
+            this.emit("views", { views: info.views, previous: previous.views });
+        }
+        const before = filesById(previous);
+        const after = filesById(info);
+        const added = [...after.keys()].filter(k => !before.has(k)).map(k => after.get(k));
+        const removed = [...before.keys()].filter(k => !after.has(k)).map(k => before.get(k));
+        if (added.length > 0) {
+            this.emit("filesAdded", added);
+        }
+        if (removed.length > 0) {
+            this.emit("filesRemoved", removed);
+        }
+    }
+
+    checkExpiry() {
+        if (this.warned || this.expiresAt === undefined) {
+            return;
+        }
+        const remaining = this.expiresAt - Date.now();
+        if (remaining <= this.expiryWarning) {
+            this.warned = true;
+            this.emit("expiring", { expiresAt: this.expiresAt, remaining: Math.max(remaining, 0) });
+        }
+    }
+
+    schedule() {
+        if (!this.stopped) {
+            this.timer = setTimeout(() => this.check(), this.interval);
+        }
+    }
+}
+
+module.exports = {
+    UploadWatcher,
+};
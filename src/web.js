@@ -0,0 +1,177 @@
+// Helpers built on WHATWG APIs only (Blob, ReadableStream, fetch, WebCrypto), so
+// that they work the same in Node.js, browsers, Deno and edge runtimes.
+
+/** @typedef {import("./base").Transport} Transport */
+
+/**
+ * Tells whether a value is a `Blob` (or a `File`)
+ * @param {*} data - Value to test
+ * @returns {boolean}
+ */
+function isBlob(data) {
+    return typeof Blob !== "undefined" && data instanceof Blob;
+}
+
+/**
+ * Tells whether a value is a WHATWG `ReadableStream`
+ * @param {*} data - Value to test
+ * @returns {boolean}
+ */
+function isWebStream(data) {
+    return !!data && typeof data.getReader === "function" && typeof data.pipeThrough === "function";
+}
+
+/**
+ * Tells whether a value holds bytes in memory (`ArrayBuffer`, `Uint8Array`, `Buffer`, ...)
+ * @param {*} data - Value to test
+ * @returns {boolean}
+ */
+function isBinary(data) {
+    return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+}
+
+function subtleCrypto() {
+    const webcrypto = globalThis.crypto || require("crypto").webcrypto;
+    if (!webcrypto || !webcrypto.subtle) {
+        throw new Error("WebCrypto is not available in this runtime");
+    }
+    return webcrypto.subtle;
+}
+
+/**
+ * Hex-encoded SHA-256 hash of a string, as the API expects passwords
+ * @param {string} str - String to hash
+ * @returns {Promise<string>}
+ */
+async function sha256hash(str) {
+    const digest = await subtleCrypto().digest("SHA-256", new TextEncoder().encode(str));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Passes a stream through, calling `onChunk` with every chunk
+ * @param {ReadableStream} body - Stream to watch
+ * @param {function(Uint8Array): void} onChunk - Called with every chunk
+ * @param {function(): void} [onEnd] - Called once the stream ends
+ * @returns {ReadableStream}
+ */
+function countStream(body, onChunk, onEnd) {
+    return body.pipeThrough(
+        new TransformStream({
+            transform(chunk, controller) {
+                onChunk(chunk);
+                controller.enqueue(chunk);
+            },
+            flush() {
+                if (onEnd) {
+                    onEnd();
+                }
+            },
+        })
+    );
+}
+
+async function readBody(res, responseType) {
+    switch (responseType) {
+        case "stream":
+            return res.body;
+        case "arraybuffer":
+            return res.arrayBuffer();
+        case "blob":
+            return res.blob();
+        default: {
+            const text = await res.text();
+            try {
+                return JSON.parse(text);
+            } catch (e) {
+                return text;
+            }
+        }
+    }
+}
+
+/**
+ * Creates a {@link Transport} on top of `fetch`. Like axios, it rejects
+ * with an error carrying `response` when the status is not 2xx, and with
+ * an error carrying `code` when the request does not go through.
+ * `responseType` may be `json` (default), `arraybuffer`, `blob` or `stream`
+ * (a WHATWG `ReadableStream`).
+ * @param {typeof fetch} [fetchImpl] - fetch implementation (defaults to the global one)
+ * @returns {Transport}
+ */
+function fetchTransport(fetchImpl) {
+    return async config => {
+        const doFetch = fetchImpl || globalThis.fetch;
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = config.timeout
+            ? setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, config.timeout)
+            : undefined;
+        const onAbort = () => controller.abort();
+        if (config.signal) {
+            if (config.signal.aborted) {
+                controller.abort();
+            } else {
+                config.signal.addEventListener("abort", onAbort, { once: true });
+            }
+        }
+
+        const headers = {};
+        for (const [key, value] of Object.entries(config.headers || {})) {
+            if (value !== undefined && value !== null) {
+                headers[key] = String(value);
+            }
+        }
+
+        try {
+            let res;
+            try {
+                res = await doFetch(config.url, {
+                    method: config.method || "GET",
+                    headers,
+                    body: config.data,
+                    signal: controller.signal,
+                });
+            } catch (e) {
+                const err = new Error(timedOut ? `timeout of ${config.timeout}ms exceeded` : e.message);
+                err.code = timedOut ? "ETIMEDOUT" : e.name === "AbortError" ? "ERR_CANCELED" : "ERR_NETWORK";
+                err.cause = e;
+                throw err;
+            }
+
+            const response = {
+                status: res.status,
+                headers: {},
+                data: undefined,
+            };
+            res.headers.forEach((value, key) => {
+                response.headers[key] = value;
+            });
+            if (res.status < 200 || res.status >= 300) {
+                response.data = await readBody(res, "json");
+                const err = new Error(`Request failed with status code ${res.status}`);
+                err.response = response;
+                throw err;
+            }
+            response.data = await readBody(res, config.responseType);
+            return response;
+        } finally {
+            clearTimeout(timer);
+            if (config.signal) {
+                config.signal.removeEventListener("abort", onAbort);
+            }
+        }
+    };
+}
+
+module.exports = {
+    isBlob,
+    isWebStream,
+    isBinary,
+    sha256hash,
+    countStream,
+    fetchTransport,
+};
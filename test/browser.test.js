@@ -0,0 +1,127 @@
+const assert = require("assert");
+const childProcess = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const url = require("url");
+const { test, before, after } = require("node:test");
+
+const pkg = require("../package.json");
+const browser = require("../src/browser");
+const { fetchTransport } = require("../src/web");
+const { delay } = require("./helpers");
+
+const ROOT = path.join(__dirname, "..");
+
+let dir;
+before(() => {
+    // Same build as `npm run build:browser`, written out of the tree
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "gofile-test-"));
+    childProcess.execSync(pkg.scripts["build:browser"].replace(/dist\//g, `${dir}/`), {
+        cwd: ROOT,
+        env: { ...process.env, PATH: `${path.join(ROOT, "node_modules", ".bin")}${path.delimiter}${process.env.PATH}` },
+        stdio: "pipe",
+    });
+});
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function checkErrorNames(bundle) {
+    const names = Object.keys(bundle).filter(k => /^Gofile.*Error$/.test(k));
+    assert.ok(names.length > 5);
+    for (const name of names) {
+        const e = new bundle[name]("message");
+        assert.strictEqual(e.name, name);
+        assert.ok(e instanceof bundle.GofileError);
+    }
+}
+
+test("errors of the ES module bundle keep their names", async () => {
+    checkErrorNames(await import(url.pathToFileURL(path.join(dir, "browser.mjs")).href));
+});
+
+test("errors of the CommonJS bundle keep their names", () => {
+    checkErrorNames(require(path.join(dir, "browser.cjs")));
+});
+
+/**
+ * fetch answering from a handler, recording its calls
+ * @param {function(string, object): (Response|Promise<Response>)} handler - Receives the URL and the init
+ */
+function fakeFetch(handler) {
+    const calls = [];
+    const doFetch = async (url, init) => {
+        calls.push({ url, init });
+        return handler(url, init);
+    };
+    doFetch.calls = calls;
+    return doFetch;
+}
+
+function json(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+}
+
+test("fetch responses are read like axios ones", async () => {
+    const doFetch = fakeFetch(() => json({ status: "ok" }));
+    const res = await fetchTransport(doFetch)({ url: "http://api.test/x", headers: { "X-A": 1, "X-B": undefined } });
+    assert.deepStrictEqual(res.data, { status: "ok" });
+    assert.strictEqual(res.headers["content-type"], "application/json");
+    assert.deepStrictEqual(doFetch.calls[0].init.headers, { "X-A": "1" });
+    assert.strictEqual(doFetch.calls[0].init.method, "GET");
+
+    const bytes = await fetchTransport(fakeFetch(() => new Response("abc")))({ url: "http://api.test/x", responseType: "arraybuffer" });
+    assert.strictEqual(Buffer.from(bytes.data).toString(), "abc");
+
+    await assert.rejects(fetchTransport(fakeFetch(() => json({ status: "error-notFound" }, 404)))({ url: "http://api.test/x" }), e => {
+        assert.strictEqual(e.response.status, 404);
+        assert.deepStrictEqual(e.response.data, { status: "error-notFound" });
+        return true;
+    });
+});
+
+test("failed, aborted and timed out fetches carry a code", async () => {
+    const failing = fakeFetch(() => {
+        throw new TypeError("fetch failed");
+    });
+    await assert.rejects(fetchTransport(failing)({ url: "http://api.test/x" }), { code: "ERR_NETWORK", message: "fetch failed" });
+
+    // Hangs until aborted, like fetch
+    const hanging = fakeFetch(
+        (url, init) =>
+            new Promise((resolve, reject) => {
+                init.signal.addEventListener("abort", () => reject(Object.assign(new Error("aborted"), { name: "AbortError" })));
+            })
+    );
+    const controller = new AbortController();
+    const aborted = fetchTransport(hanging)({ url: "http://api.test/x", signal: controller.signal });
+    await delay(10);
+    controller.abort();
+    await assert.rejects(aborted, { code: "ERR_CANCELED" });
+    await assert.rejects(fetchTransport(hanging)({ url: "http://api.test/x", timeout: 20 }), { code: "ETIMEDOUT" });
+});
+
+test("the browser client uploads through fetch and maps errors", async () => {
+    const doFetch = fakeFetch(url => {
+        if (url.endsWith("/getServer")) {
+            return json({ status: "ok", data: { server: "store1" } });
+        }
+        if (url.includes("/getUpload")) {
+            return json({ status: "error-notFound" }, 404);
+        }
+        return json({ status: "ok", data: { code: "abc", removalCode: "rc", downloadPage: "https://gofile.io/d/abc" } });
+    });
+    const client = new browser.GofileClient({ transport: fetchTransport(doFetch) });
+
+    const result = await client.uploadFiles([{ file: new Blob(["hello"]), fn: "a.txt" }]);
+    assert.strictEqual(result.code, "abc");
+    assert.strictEqual(result.files[0].size, 5);
+    const body = doFetch.calls[1].init.body;
+    assert.ok(body instanceof FormData);
+    assert.strictEqual(await body.get("file").text(), "hello");
+    assert.strictEqual(body.get("file").name, "a.txt");
+
+    await assert.rejects(client.getUploadInfo("gone"), browser.GofileNotFoundError);
+    await assert.rejects(client.uploadFiles([{ file: new Blob(["a"]) }], { dedupe: true }), { field: "dedupe" });
+});
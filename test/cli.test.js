@@ -0,0 +1,189 @@
+const assert = require("assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const stream = require("stream");
+const { test, before, after, beforeEach, afterEach } = require("node:test");
+
+const { EXIT_CODES, exitCode, parseArgs, run } = require("../src/cli");
+const errors = require("../src/errors");
+const { UploadLedger } = require("../src/ledger");
+
+let server;
+let baseUrl;
+const removed = [];
+
+before(async () => {
+    // Answers what the commands below need from the API and the upload servers
+    server = http.createServer((req, res) => {
+        const url = new URL(req.url, "http://localhost");
+        req.resume();
+        let data = {};
+        if (url.pathname === "/getServer") {
+            data = { server: "local" };
+        } else if (url.pathname === "/deleteUpload") {
+            removed.push(url.searchParams.get("c"));
+        } else if (url.pathname === "/uploadFile") {
+            data = { code: "up1", removalCode: "rm1", downloadPage: "https://gofile.io/d/up1" };
+        } else if (url.pathname === "/getUpload") {
+            res.writeHead(404, { "content-type": "application/json" });
+            res.end(JSON.stringify({ status: "error-notFound" }));
+            return;
+        }
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(JSON.stringify({ status: "ok", data }));
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => {
+    server.close();
+});
+
+let dir;
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "gofile-test-"));
+    process.env.GOFILE_LEDGER_DIR = dir;
+    removed.length = 0;
+});
+afterEach(() => {
+    delete process.env.GOFILE_LEDGER_DIR;
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Runs the command-line tool against the local server
+ * @param {string[]} argv - Arguments
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+async function gofile(argv, input) {
+    const output = { stdout: "", stderr: "" };
+    const sink = name =>
+        new stream.Writable({
+            write(chunk, encoding, callback) {
+                output[name] += chunk;
+                callback();
+            },
+        });
+    const stdin = stream.Readable.from(input === undefined ? [] : [input]);
+    stdin.isTTY = input === undefined;
+    const code = await run([...argv, "--api-url", baseUrl, "--server-url", baseUrl], {
+        stdin,
+        stdout: sink("stdout"),
+        stderr: sink("stderr"),
+    });
+    return { code, ...output };
+}
+
+test("arguments are split into commands and options", () => {
+    assert.deepStrictEqual(
+        parseArgs(["upload", "a.txt", "--tags=x,y", "-q", "--ignore", "*.log", "--ignore=*.tmp", "--", "--odd"]),
+        { args: ["upload", "a.txt", "--odd"], opts: { tags: "x,y", quiet: true, ignore: ["*.log", "*.tmp"] } }
+    );
+    assert.deepStrictEqual(parseArgs(["download", "abc", "-o", "out", "--no-verify", "-"]), {
+        args: ["download", "abc", "-"],
+        opts: { output: "out", "no-verify": true },
+    });
+    assert.deepStrictEqual(parseArgs(["--description=a=b"]).opts, { description: "a=b" });
+
+    for (const argv of [["--nope"], ["-x"], ["--json=yes"], ["--expire"]]) {
+        assert.throws(() => parseArgs(argv), e => e instanceof errors.GofileValidationError && e.usage === true, argv.join(" "));
+    }
+});
+
+test("errors map to exit codes, failed files to the code of their error", () => {
+    const cases = [
+        [new errors.GofileValidationError("x"), EXIT_CODES.USAGE],
+        [new errors.GofileNotFoundError("x"), EXIT_CODES.NOT_FOUND],
+        [new errors.GofilePasswordError("x"), EXIT_CODES.PASSWORD],
+        [new errors.GofileNetworkError("x"), EXIT_CODES.NETWORK],
+        [new errors.GofileApiError("x"), EXIT_CODES.API],
+        [new errors.GofileIntegrityError("x"), EXIT_CODES.INTEGRITY],
+        [new errors.GofileAbortError("x"), EXIT_CODES.ERROR],
+        [new Error("x"), EXIT_CODES.ERROR],
+        [new errors.GofileUploadError("x", { result: { files: [{}, { error: new errors.GofileNetworkError("x") }] } }), EXIT_CODES.NETWORK],
+        [new errors.GofileDownloadError("x", { result: { files: [] } }), EXIT_CODES.ERROR],
+    ];
+    for (const [e, code] of cases) {
+        assert.strictEqual(exitCode(e), code, e.name);
+    }
+});
+
+test("commands exit with the code of their outcome", async () => {
+    assert.strictEqual((await gofile(["--help"])).code, EXIT_CODES.OK);
+    assert.strictEqual((await gofile([])).code, EXIT_CODES.USAGE);
+    const unknown = await gofile(["frobnicate"]);
+    assert.strictEqual(unknown.code, EXIT_CODES.USAGE);
+    assert.match(unknown.stderr, /Unknown command frobnicate[\s\S]*gofile --help/);
+    assert.strictEqual((await gofile(["upload", path.join(dir, "missing.txt")])).code, EXIT_CODES.USAGE);
+
+    const missing = await gofile(["info", "nope", "--json"]);
+    assert.strictEqual(missing.code, EXIT_CODES.NOT_FOUND);
+    assert.strictEqual(JSON.parse(missing.stdout).error.name, "GofileNotFoundError");
+
+    const uploaded = await gofile(["upload", "--name", "notes.txt", "--json"], "some notes");
+    assert.strictEqual(uploaded.code, EXIT_CODES.OK);
+    const result = JSON.parse(uploaded.stdout);
+    assert.strictEqual(result.code, "up1");
+    assert.deepStrictEqual(result.files.map(f => [f.name, f.status]), [["notes.txt", "uploaded"]]);
+});
+
+function record(code, names) {
+    return new UploadLedger({ dir }).record({
+        code,
+        removalCode: `rc-${code}`,
+        files: names.map(name => ({ name, status: "uploaded", size: 1 })),
+    });
+}
+
+test("rm with a removal code leaves the ledger alone unless it is enabled", async () => {
+    assert.strictEqual((await gofile(["rm", "c1", "rc1"])).code, 0);
+    assert.deepStrictEqual(removed, ["c1"]);
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+
+    await record("c2", ["a.txt"]);
+    assert.strictEqual((await gofile(["rm", "c2", "rc-c2"])).code, 0);
+    assert.strictEqual((await new UploadLedger({ dir }).list()).length, 1);
+    assert.strictEqual((await gofile(["rm", "c2", "rc-c2", "--ledger"])).code, 0);
+    assert.strictEqual((await new UploadLedger({ dir }).list()).length, 0);
+});
+
+test("rm without a removal code looks it up in the ledger and forgets the upload", async () => {
+    await record("c1", ["a.txt"]);
+    assert.strictEqual((await gofile(["rm", "c1"])).code, 0);
+    assert.deepStrictEqual(removed, ["c1"]);
+    assert.deepStrictEqual(await new UploadLedger({ dir }).list(), []);
+
+    const missing = await gofile(["rm", "c9"]);
+    assert.strictEqual(missing.code, 2);
+    assert.match(missing.stderr, /not in the ledger/);
+});
+
+test("--file selects ledger entries by file name, --name only names stdin data", async () => {
+    await record("c1", ["photo.jpg"]);
+    await record("c2", ["report.pdf"]);
+
+    const listed = await gofile(["ls", "--file", "*.pdf", "--json"]);
+    assert.deepStrictEqual(JSON.parse(listed.stdout).map(e => e.code), ["c2"]);
+
+    assert.strictEqual((await gofile(["rm", "--name", "*.pdf"])).code, 2);
+    assert.deepStrictEqual(removed, []);
+    assert.strictEqual((await gofile(["rm", "--file", "*.pdf"])).code, 0);
+    assert.deepStrictEqual(removed, ["c2"]);
+    assert.deepStrictEqual((await new UploadLedger({ dir }).list()).map(e => e.code), ["c1"]);
+});
+
+test("bad encryption options are usage errors", async () => {
+    fs.writeFileSync(path.join(dir, "a.txt"), "a");
+    const file = path.join(dir, "a.txt");
+    for (const argv of [
+        ["upload", file, "--encrypt-names"],
+        ["upload", file, "--passphrase", "secret", "--key", "0".repeat(64)],
+        ["upload", file, "--key", "short"],
+        ["download", "abc", "--passphrase", ""],
+    ]) {
+        const { code, stderr } = await gofile(argv);
+        assert.strictEqual(code, 2, `${argv.join(" ")}: ${stderr}`);
+    }
+});
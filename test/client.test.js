@@ -0,0 +1,134 @@
+const assert = require("assert");
+const crypto = require("crypto");
+const http = require("http");
+const stream = require("stream");
+const { test } = require("node:test");
+
+const { GofileClient } = require("../src/client");
+const { GofileApiError, GofileValidationError } = require("../src/errors");
+const { fakeTransport, ok, httpError, uploadedFile } = require("./helpers");
+
+/**
+ * Transport of a server creating upload `abc` with the first file, failing the files whose content is `fail`
+ */
+function uploadServer() {
+    return fakeTransport(req => {
+        if (req.path === "/getServer") {
+            return ok({ server: "store1" });
+        }
+        if (uploadedFile(req.body).toString() === "fail") {
+            throw httpError(400);
+        }
+        return ok({ code: "abc", removalCode: "rc", adminCode: "admin", downloadPage: "https://gofile.io/d/abc" });
+    });
+}
+
+function formField(body, name) {
+    const match = new RegExp(`name="${name}"\\r\\n\\r\\n([^\\r]*)\\r\\n`).exec(body.toString());
+    return match && match[1];
+}
+
+test("files go into one upload and each gets its own result", async () => {
+    const transport = uploadServer();
+    const client = new GofileClient({ transport, retry: false });
+    const result = await client.uploadFiles(
+        [
+            { file: Buffer.from("one"), fn: "1.txt" },
+            { file: Buffer.from("fail"), fn: "2.txt" },
+            { file: stream.Readable.from([Buffer.from("three")]), fn: "3.txt" },
+        ],
+        { description: "files" }
+    );
+
+    assert.deepStrictEqual(
+        [result.code, result.removalCode, result.adminCode, result.uploaded, result.reused, result.failed],
+        ["abc", "rc", "admin", 2, 0, 1]
+    );
+    assert.deepStrictEqual(result.files.map(f => [f.name, f.status, f.size, f.attempts]), [
+        ["1.txt", "uploaded", 3, 1],
+        ["2.txt", "failed", 4, 1],
+        ["3.txt", "uploaded", 5, 1],
+    ]);
+    assert.strictEqual(result.files[0].md5, crypto.createHash("md5").update("one").digest("hex"));
+    assert.strictEqual(result.files[0].link, "https://gofile.io/d/abc");
+    assert.strictEqual(result.files[2].code, "abc");
+    assert.ok(result.files[1].error instanceof GofileApiError);
+    assert.strictEqual(result.files[1].link, undefined);
+
+    // The first file creates the upload, the next ones join it
+    const uploads = transport.requests.filter(r => r.path === "/uploadFile").map(r => r.body);
+    assert.deepStrictEqual(uploads.map(body => [formField(body, "code"), formField(body, "ac"), formField(body, "description")]), [
+        [null, null, "files"],
+        ["abc", "admin", null],
+        ["abc", "admin", null],
+    ]);
+});
+
+test("single files take a name, or options when the data carries its own name", async () => {
+    const transport = uploadServer();
+    const client = new GofileClient({ transport });
+
+    assert.strictEqual((await client.uploadFile(Buffer.from("a"), "a.txt")).files[0].name, "a.txt");
+    assert.strictEqual((await client.uploadFile(new File(["b"], "b.txt"), { description: "b" })).files[0].name, "b.txt");
+    assert.strictEqual((await client.uploadFile(stream.Readable.from([Buffer.from("c")]), "c.txt")).files[0].name, "c.txt");
+    assert.deepStrictEqual(
+        transport.requests.filter(r => r.path === "/uploadFile").map(r => uploadedFile(r.body).toString()),
+        ["a", "b", "c"]
+    );
+
+    await assert.rejects(client.uploadFile(Buffer.from("a")), { name: "GofileValidationError", field: "fileName" });
+    await assert.rejects(client.uploadFile(42, "a.txt"), GofileValidationError);
+});
+
+test("uploads go to the given server without looking one up", async () => {
+    const transport = uploadServer();
+    await new GofileClient({ transport }).uploadFiles([{ file: Buffer.from("a") }], { server: "store9" });
+    assert.deepStrictEqual(transport.requests.map(r => new URL(r.url).host), ["store9.gofile.io"]);
+});
+
+test("clients send requests to the configured URLs with the configured headers", async () => {
+    const transport = fakeTransport(req => (req.path === "/getServer" ? ok({ server: "store1" }) : ok({ code: "abc", files: {} })));
+    const messages = [];
+    const client = new GofileClient({
+        transport,
+        apiUrl: "http://api.test/",
+        serverUrl: server => `http://files.test/${server}/`,
+        headers: { "x-token": "t", accept: "application/json" },
+        timeout: 1234,
+        proxy: false,
+        logger: { debug: message => messages.push(message) },
+    });
+    await client.getUploadInfo("a b", "secret");
+
+    const [lookup, info] = transport.requests;
+    assert.strictEqual(lookup.url, "http://api.test/getServer");
+    assert.strictEqual(lookup.headers.origin, "https://gofile.io");
+    assert.strictEqual(info.url, `http://files.test/store1/getUpload?c=a%20b&p=${crypto.createHash("sha256").update("secret").digest("hex")}`);
+    assert.strictEqual(info.headers["x-token"], "t");
+    assert.strictEqual(info.headers.pragma, "no-cache");
+    assert.strictEqual(info.headers.accept, "application/json");
+    assert.strictEqual(info.timeout, 1234);
+    assert.strictEqual(info.proxy, false);
+    assert.match(messages[0], /^Fetching server info: GET http:\/\/api\.test\/getServer$/);
+
+    const plain = fakeTransport(() => ok({ server: "store1" }));
+    await new GofileClient({ transport: plain, browserHeaders: false, serverUrl: "http://{server}.test" }).getServer();
+    assert.strictEqual(plain.requests[0].headers.origin, undefined);
+    assert.strictEqual(plain.requests[0].url, "https://apiv2.gofile.io/getServer");
+});
+
+test("the default transport talks to a real server", async () => {
+    const server = http.createServer((req, res) => {
+        res.writeHead(req.url === "/getServer" ? 200 : 404, { "content-type": "application/json" });
+        res.end(JSON.stringify(req.url === "/getServer" ? { status: "ok", data: { server: "local" } } : { status: "error-notFound" }));
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    try {
+        const client = new GofileClient({ apiUrl: origin, serverUrl: origin, retry: false });
+        assert.strictEqual(await client.getServer(), "local");
+        await assert.rejects(client.getUploadInfo("abc"), { name: "GofileNotFoundError", httpStatus: 404 });
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,124 @@
+const assert = require("assert");
+const crypto = require("crypto");
+const { once } = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, beforeEach, afterEach } = require("node:test");
+
+const { GofileClient } = require("../src/client");
+const { FileHashStore, MemoryHashStore } = require("../src/dedupe");
+const { GofileAbortError, GofileApiError } = require("../src/errors");
+const { fakeTransport, ok, httpError, uploadedFile } = require("./helpers");
+
+let dir;
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "gofile-test-"));
+});
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function fileStreams(count) {
+    return Array.from({ length: count }, (_, i) => {
+        const file = path.join(dir, `${i}.txt`);
+        fs.writeFileSync(file, `content ${i}`);
+        return { file: fs.createReadStream(file) };
+    });
+}
+
+test("streams of files not sent are closed after an abort", async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const transport = fakeTransport(() => ok({ server: "store1" }));
+    const files = fileStreams(2);
+
+    await assert.rejects(new GofileClient({ transport }).uploadFiles(files, { signal: controller.signal }), GofileAbortError);
+    assert.ok(files.every(f => f.file.destroyed));
+    await Promise.all(files.map(f => f.file.closed || once(f.file, "close")));
+});
+
+test("streams of files not sent are closed when the server lookup fails", async () => {
+    const transport = fakeTransport(() => {
+        throw httpError(400);
+    });
+    const files = fileStreams(2);
+
+    await assert.rejects(new GofileClient({ transport }).uploadFiles(files), GofileApiError);
+    assert.ok(files.every(f => f.file.destroyed));
+    await Promise.all(files.map(f => f.file.closed || once(f.file, "close")));
+});
+
+/**
+ * Client of a server keeping the uploads it receives, until they are deleted
+ * @param {object} [options] - Client options
+ */
+function server(options = {}) {
+    const uploads = new Map();
+    const transport = fakeTransport(req => {
+        const code = new URL(req.url).searchParams.get("c");
+        if (req.path === "/getServer") {
+            return ok({ server: "store1" });
+        }
+        if (req.path === "/getUpload") {
+            if (!uploads.has(code)) {
+                throw httpError(404);
+            }
+            return ok({ code, files: uploads.get(code) });
+        }
+        if (req.path === "/deleteUpload") {
+            uploads.delete(code);
+            return ok({});
+        }
+        const created = `c${uploads.size + 1}`;
+        const md5 = crypto.createHash("md5").update(uploadedFile(req.body)).digest("hex");
+        uploads.set(created, { f1: { name: "x", md5 } });
+        return ok({ code: created, removalCode: `rc-${created}`, downloadPage: `https://gofile.io/d/${created}` });
+    });
+    const client = new GofileClient({ transport, logger: { info() {}, warn() {}, error() {} }, ...options });
+    return { client, uploads: () => transport.requests.filter(r => r.path === "/uploadFile").length };
+}
+
+test("content still online is reused, content whose upload is gone is sent again", async () => {
+    const store = new MemoryHashStore();
+    const { client, uploads } = server({ hashStore: store });
+    const first = await client.uploadFiles([{ file: Buffer.from("hello"), fn: "a.txt" }], { dedupe: true });
+    assert.strictEqual(first.files[0].status, "uploaded");
+    assert.strictEqual((await store.get(first.files[0].md5)).code, "c1");
+
+    const second = await client.uploadFiles([{ file: Buffer.from("hello"), fn: "b.txt" }, { file: Buffer.from("other") }], { dedupe: true });
+    assert.deepStrictEqual(second.files.map(f => f.status), ["reused", "uploaded"]);
+    assert.strictEqual(second.files[0].link, "https://gofile.io/d/c1");
+    assert.strictEqual(second.reused, 1);
+    assert.strictEqual(uploads(), 2);
+
+    await client.removeUpload("c1", "rc-c1");
+    const third = await client.uploadFiles([{ file: Buffer.from("hello") }], { dedupe: true });
+    assert.strictEqual(third.files[0].status, "uploaded");
+    assert.strictEqual((await store.get(third.files[0].md5)).code, third.code);
+    assert.strictEqual(uploads(), 3);
+});
+
+test("file hash stores keep their entries across instances", async () => {
+    const store = new FileHashStore({ dir });
+    const { client } = server({ hashStore: store });
+    const result = await client.uploadFiles([{ file: Buffer.from("a") }, { file: Buffer.from("b") }], { dedupe: true });
+    await store.delete("unknown");
+
+    const reopened = new FileHashStore({ dir });
+    for (const f of result.files) {
+        assert.strictEqual((await reopened.get(f.md5)).code, "c1");
+    }
+    await reopened.delete(result.files[0].md5);
+    assert.strictEqual(await new FileHashStore({ dir }).get(result.files[0].md5), undefined);
+    assert.deepStrictEqual(fs.readdirSync(dir), ["hashes.json"]);
+});
+
+test("dedupe cannot be combined with encryption", async () => {
+    const { client, uploads } = server();
+    await assert.rejects(
+        client.uploadFiles([{ file: Buffer.from("a") }], { dedupe: true, encrypt: { passphrase: "secret" } }),
+        { name: "GofileValidationError", field: "dedupe" }
+    );
+    assert.strictEqual(uploads(), 0);
+});
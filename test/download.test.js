@@ -0,0 +1,183 @@
+const assert = require("assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const stream = require("stream");
+const { test, beforeEach, afterEach } = require("node:test");
+
+const { GofileClient } = require("../src/client");
+const { createEncryption } = require("../src/encryption");
+const { GofileDownloadError, GofileIntegrityError } = require("../src/errors");
+const { fakeTransport, ok, httpError, delay } = require("./helpers");
+
+const CONTENT = crypto.randomBytes(5000);
+const MD5 = crypto.createHash("md5").update(CONTENT).digest("hex");
+
+let dir;
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "gofile-test-"));
+});
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Client for an upload holding one file, served by `serve`
+ * @param {function(object, number|undefined): *} serve - Receives the request and the start of its range
+ * @param {string} [md5] - MD5 hash of the file in the upload info
+ */
+function setup(serve, md5 = MD5) {
+    const transport = fakeTransport(req => {
+        if (req.path === "/getServer") {
+            return ok({ server: "store1" });
+        }
+        if (req.path === "/getUpload") {
+            return ok({
+                code: "abc",
+                files: { f1: { name: "a.bin", size: CONTENT.length, md5, link: "http://store1.test/download/f1/a.bin" } },
+            });
+        }
+        const range = req.headers.range && Number(/^bytes=(\d+)-$/.exec(req.headers.range)[1]);
+        return serve(req, range);
+    });
+    const client = new GofileClient({ transport, retry: { minDelay: 1, jitter: false } });
+    return { client, transport, downloads: () => transport.requests.filter(r => r.path.startsWith("/download/")) };
+}
+
+/**
+ * Download reply
+ * @param {number} status - HTTP status code
+ * @param {Buffer|function(): AsyncGenerator<Buffer>} data - Content, or a generator streaming it
+ */
+function reply(status, data) {
+    return { status, headers: {}, data: stream.Readable.from(typeof data === "function" ? data() : [data]) };
+}
+
+test("partial downloads are resumed with a range request", async () => {
+    fs.writeFileSync(path.join(dir, "a.bin.part"), CONTENT.subarray(0, 2000));
+    const { client, downloads } = setup((req, range) => reply(206, CONTENT.subarray(range)));
+
+    const result = await client.downloadToDirectory("abc", dir);
+    assert.strictEqual(result.files[0].status, "resumed");
+    assert.strictEqual(downloads()[0].headers.range, "bytes=2000-");
+    assert.deepStrictEqual(fs.readFileSync(path.join(dir, "a.bin")), CONTENT);
+    assert.ok(!fs.existsSync(path.join(dir, "a.bin.part")));
+});
+
+test("downloads start over when the server ignores or refuses the range", async () => {
+    fs.writeFileSync(path.join(dir, "a.bin.part"), CONTENT.subarray(0, 2000));
+    let result = await setup(() => reply(200, CONTENT)).client.downloadToDirectory("abc", dir);
+    assert.strictEqual(result.files[0].status, "downloaded");
+    assert.deepStrictEqual(fs.readFileSync(path.join(dir, "a.bin")), CONTENT);
+
+    fs.unlinkSync(path.join(dir, "a.bin"));
+    fs.writeFileSync(path.join(dir, "a.bin.part"), CONTENT.subarray(0, 2000));
+    const { client, downloads } = setup((req, range) => {
+        if (range !== undefined) {
+            throw httpError(416);
+        }
+        return reply(200, CONTENT);
+    });
+    result = await client.downloadToDirectory("abc", dir);
+    assert.strictEqual(result.files[0].status, "downloaded");
+    assert.deepStrictEqual(downloads().map(r => r.headers.range), ["bytes=2000-", undefined]);
+    assert.deepStrictEqual(fs.readFileSync(path.join(dir, "a.bin")), CONTENT);
+});
+
+test("a corrupt partial download is downloaded again in full", async () => {
+    fs.writeFileSync(path.join(dir, "a.bin.part"), crypto.randomBytes(2000));
+    const { client, downloads } = setup((req, range) => reply(range ? 206 : 200, CONTENT.subarray(range || 0)));
+
+    const result = await client.downloadToDirectory("abc", dir);
+    assert.strictEqual(result.files[0].status, "downloaded");
+    assert.strictEqual(downloads().length, 2);
+    assert.deepStrictEqual(fs.readFileSync(path.join(dir, "a.bin")), CONTENT);
+});
+
+test("files already on disk are skipped, files not matching their hash fail", async () => {
+    fs.writeFileSync(path.join(dir, "a.bin"), CONTENT);
+    const { client, downloads } = setup(() => reply(200, CONTENT));
+    const result = await client.downloadToDirectory("abc", dir);
+    assert.strictEqual(result.files[0].status, "skipped");
+    assert.strictEqual(downloads().length, 0);
+
+    fs.unlinkSync(path.join(dir, "a.bin"));
+    await assert.rejects(
+        setup(() => reply(200, CONTENT), "0".repeat(32)).client.downloadToDirectory("abc", dir),
+        e => e instanceof GofileDownloadError && e.result.files[0].error instanceof GofileIntegrityError
+    );
+    assert.ok(!fs.existsSync(path.join(dir, "a.bin.part")));
+});
+
+test("interrupted downloads are retried from where they stopped", async () => {
+    let calls = 0;
+    const { client, downloads } = setup((req, range) => {
+        calls++;
+        if (calls === 1) {
+            // The connection drops once the first bytes were written
+            return reply(200, async function* () {
+                yield CONTENT.subarray(0, 3000);
+                await delay(50);
+                throw Object.assign(new Error("socket hang up"), { code: "ECONNRESET" });
+            });
+        }
+        return reply(206, CONTENT.subarray(range));
+    });
+
+    const result = await client.downloadToDirectory("abc", dir);
+    assert.strictEqual(result.files[0].status, "resumed");
+    assert.strictEqual(downloads()[1].headers.range, "bytes=3000-");
+    assert.deepStrictEqual(fs.readFileSync(path.join(dir, "a.bin")), CONTENT);
+});
+
+test("encrypted uploads are decrypted, and kept encrypted when the key is wrong", async () => {
+    const key = crypto.randomBytes(32).toString("hex");
+    const wrongKey = crypto.randomBytes(32).toString("hex");
+    const upload = async fileName => {
+        const encryption = await createEncryption({ key, fileName });
+        const chunks = [];
+        for await (const chunk of encryption.encryptStream(stream.Readable.from([CONTENT]))) {
+            chunks.push(chunk);
+        }
+        const ciphertext = Buffer.concat(chunks);
+        const transport = fakeTransport(req => {
+            if (req.path === "/getServer") {
+                return ok({ server: "store1" });
+            }
+            if (req.path === "/getUpload") {
+                const f1 = {
+                    name: encryption.fileName("secret.bin"),
+                    size: ciphertext.length,
+                    md5: crypto.createHash("md5").update(ciphertext).digest("hex"),
+                    link: "http://store1.test/download/f1/x",
+                };
+                return ok({ code: "abc", files: { f1 } });
+            }
+            return reply(200, ciphertext);
+        });
+        const client = new GofileClient({ transport, retry: false });
+        return { client, downloads: () => transport.requests.filter(r => r.path.startsWith("/download/")).length };
+    };
+    const integrityError = e => e instanceof GofileDownloadError && e.result.files[0].error instanceof GofileIntegrityError;
+
+    // A name that does not decrypt fails the file before it is downloaded
+    let { client, downloads } = await upload(true);
+    await assert.rejects(client.downloadToDirectory("abc", dir, { decrypt: { key: wrongKey } }), integrityError);
+    assert.strictEqual(downloads(), 0);
+    let result = await client.downloadToDirectory("abc", dir, { decrypt: { key } });
+    assert.strictEqual(result.files[0].name, "secret.bin");
+    assert.deepStrictEqual(fs.readdirSync(dir), ["secret.bin"]);
+    assert.deepStrictEqual(fs.readFileSync(path.join(dir, "secret.bin")), CONTENT);
+
+    // Content that does not decrypt is kept, and not downloaded again
+    fs.unlinkSync(path.join(dir, "secret.bin"));
+    ({ client, downloads } = await upload(false));
+    await assert.rejects(client.downloadToDirectory("abc", dir, { decrypt: { key: wrongKey } }), integrityError);
+    assert.deepStrictEqual(fs.readdirSync(dir), ["secret.bin.part"]);
+    result = await client.downloadToDirectory("abc", dir, { decrypt: { key } });
+    assert.strictEqual(result.files[0].status, "resumed");
+    assert.strictEqual(downloads(), 1);
+    assert.deepStrictEqual(fs.readdirSync(dir), ["secret.bin"]);
+    assert.deepStrictEqual(fs.readFileSync(path.join(dir, "secret.bin")), CONTENT);
+});
@@ -0,0 +1,101 @@
+const assert = require("assert");
+const crypto = require("crypto");
+const stream = require("stream");
+const { test } = require("node:test");
+
+const gofile = require("../src");
+const { GofileIntegrityError } = require("../src/errors");
+const { KeyRing, createEncryption, decryptBuffer, decryptFileName, isEncrypted } = require("../src/encryption");
+
+const KEY = crypto.randomBytes(32).toString("hex");
+
+async function encrypt(data, opts) {
+    const encryption = await createEncryption(opts);
+    const chunks = [];
+    for await (const chunk of encryption.encryptStream(stream.Readable.from([data]))) {
+        chunks.push(chunk);
+    }
+    return { encryption, ciphertext: Buffer.concat(chunks) };
+}
+
+test("data encrypted with a key or a passphrase decrypts to the original", async () => {
+    // Several chunks, the last one partial
+    const data = crypto.randomBytes(2500);
+    for (const opts of [{ key: KEY }, { passphrase: "secret" }]) {
+        const { encryption, ciphertext } = await encrypt(data, { ...opts, chunkSize: 1000 });
+        assert.ok(isEncrypted(ciphertext));
+        assert.strictEqual(ciphertext.length, encryption.encryptedSize(data.length));
+        assert.deepStrictEqual(await decryptBuffer(ciphertext, new KeyRing(opts)), data);
+    }
+});
+
+test("empty data and data filling whole chunks round trip", async () => {
+    for (const data of [Buffer.alloc(0), crypto.randomBytes(2000)]) {
+        const { ciphertext } = await encrypt(data, { key: KEY, chunkSize: 1000 });
+        assert.deepStrictEqual(await decryptBuffer(ciphertext, new KeyRing({ key: KEY })), data);
+    }
+});
+
+test("a tampered body fails to decrypt", async () => {
+    const { ciphertext } = await encrypt(crypto.randomBytes(2500), { key: KEY, chunkSize: 1000 });
+    for (const offset of [40, 1100, ciphertext.length - 1]) {
+        const tampered = Buffer.from(ciphertext);
+        tampered[offset] ^= 1;
+        await assert.rejects(decryptBuffer(tampered, new KeyRing({ key: KEY })), /tampered/);
+    }
+});
+
+test("a tampered header fails to decrypt, even when plaintext is allowed", async () => {
+    const { ciphertext } = await encrypt(Buffer.from("hello"), { key: KEY });
+    const keys = new KeyRing({ key: KEY });
+
+    const nonce = Buffer.from(ciphertext);
+    nonce[30] ^= 1;
+    await assert.rejects(decryptBuffer(nonce, keys), GofileIntegrityError);
+
+    const magic = Buffer.from(ciphertext);
+    magic[0] ^= 1;
+    await assert.rejects(decryptBuffer(magic, keys), /not encrypted/);
+});
+
+test("truncated data fails to decrypt", async () => {
+    const { ciphertext } = await encrypt(crypto.randomBytes(2500), { key: KEY, chunkSize: 1000 });
+    const keys = new KeyRing({ key: KEY });
+    // Cut inside the header, inside a chunk, and exactly after a full chunk
+    for (const length of [20, 1500, 33 + 1016]) {
+        await assert.rejects(decryptBuffer(ciphertext.subarray(0, length), keys), GofileIntegrityError);
+    }
+});
+
+test("a wrong key or passphrase fails to decrypt", async () => {
+    const byKey = (await encrypt(Buffer.from("hello"), { key: KEY })).ciphertext;
+    const byPassphrase = (await encrypt(Buffer.from("hello"), { passphrase: "secret" })).ciphertext;
+
+    await assert.rejects(decryptBuffer(byKey, new KeyRing({ key: crypto.randomBytes(32) })), /wrong key/);
+    await assert.rejects(decryptBuffer(byPassphrase, new KeyRing({ passphrase: "other" })), /wrong key/);
+    await assert.rejects(decryptBuffer(byKey, new KeyRing({ passphrase: "secret" })), /only a passphrase/);
+    await assert.rejects(decryptBuffer(byPassphrase, new KeyRing({ key: KEY })), /only a key/);
+});
+
+test("data that is not encrypted only passes when asked for", async () => {
+    const keys = new KeyRing({ key: KEY });
+    for (const data of [Buffer.from("hi"), Buffer.from("plain text, longer than a header of encrypted data")]) {
+        await assert.rejects(decryptBuffer(data, keys), /not encrypted/);
+        assert.deepStrictEqual(await decryptBuffer(data, keys, true), data);
+    }
+});
+
+test("encrypted file names decrypt, tampered ones fail", async () => {
+    const encryption = await createEncryption({ passphrase: "secret", fileName: true });
+    const name = encryption.fileName("report.pdf");
+    assert.ok(name.endsWith(".gfe"));
+    assert.strictEqual(await decryptFileName(name, new KeyRing({ passphrase: "secret" })), "report.pdf");
+    assert.strictEqual(await decryptFileName("report.pdf", new KeyRing({ passphrase: "secret" })), "report.pdf");
+
+    const tampered = `${name[0] === "A" ? "B" : "A"}${name.slice(1)}`;
+    await assert.rejects(decryptFileName(tampered, new KeyRing({ passphrase: "secret" })), GofileIntegrityError);
+    await assert.rejects(decryptFileName(name, new KeyRing({ passphrase: "other" })), GofileIntegrityError);
+
+    // The package export also takes the options the upload was encrypted with
+    assert.strictEqual(await gofile.decryptFileName(name, { passphrase: "secret" }), "report.pdf");
+});
@@ -0,0 +1,75 @@
+const assert = require("assert");
+const { test } = require("node:test");
+
+const { GofileClient } = require("../src/client");
+const errors = require("../src/errors");
+const { GofileValidationError } = errors;
+const { fakeTransport, ok, httpError, networkError } = require("./helpers");
+
+test("API replies map to typed errors", () => {
+    const cases = [
+        [{ status: "error-notFound" }, 200, errors.GofileNotFoundError],
+        [{ status: "error-passwordRequired" }, 401, errors.GofilePasswordError],
+        [{ status: "error-passwordWrong" }, 200, errors.GofilePasswordError],
+        [{ status: "error-rateLimit" }, 429, errors.GofileApiError],
+        ["", 404, errors.GofileNotFoundError],
+        ["", 500, errors.GofileApiError],
+    ];
+    for (const [payload, httpStatus, type] of cases) {
+        const e = errors.apiError("Fetching upload info", payload, httpStatus, { "x-a": "1" });
+        assert.strictEqual(e.constructor, type, JSON.stringify(payload));
+        assert.ok(e instanceof errors.GofileApiError && e instanceof errors.GofileError);
+        assert.strictEqual(e.httpStatus, httpStatus);
+        assert.deepStrictEqual(e.payload, payload);
+        assert.deepStrictEqual(e.headers, { "x-a": "1" });
+    }
+    const e = errors.apiError("Removing upload", { status: "error-notFound" }, 200);
+    assert.strictEqual(e.message, "Removing upload failed: error-notFound");
+    assert.strictEqual(e.status, "error-notFound");
+    assert.strictEqual(e.name, "GofileNotFoundError");
+    assert.strictEqual(errors.apiError("Removing upload", "", 502).message, "Removing upload failed: HTTP 502");
+});
+
+test("transport failures map to network, abort and API errors", () => {
+    const reset = errors.transportError("Uploading", networkError("ECONNRESET"));
+    assert.ok(reset instanceof errors.GofileNetworkError);
+    assert.strictEqual(reset.code, "ECONNRESET");
+    assert.strictEqual(reset.cause.code, "ECONNRESET");
+
+    assert.ok(errors.transportError("Uploading", { __CANCEL__: true, message: "canceled" }) instanceof errors.GofileAbortError);
+    assert.ok(errors.transportError("Uploading", Object.assign(new Error("x"), { name: "AbortError" })) instanceof errors.GofileAbortError);
+    assert.ok(errors.transportError("Uploading", httpError(404)) instanceof errors.GofileNotFoundError);
+
+    const own = new errors.GofileIntegrityError("x");
+    assert.strictEqual(errors.transportError("Uploading", own), own);
+});
+
+test("API calls reject with the error of the reply", async () => {
+    const transport = fakeTransport(req => {
+        if (req.path === "/getServer") {
+            return ok({ server: "store1" });
+        }
+        return { status: 200, headers: {}, data: { status: "error-passwordRequired", data: {} } };
+    });
+    await assert.rejects(new GofileClient({ transport }).getUploadInfo("abc"), errors.GofilePasswordError);
+});
+
+test("bad files are rejected before any request, naming their index", async () => {
+    const transport = fakeTransport(() => ok({ server: "store1" }));
+    const client = new GofileClient({ transport });
+    const good = { file: Buffer.from("a") };
+
+    for (const bad of [null, "a.txt", { fn: "a" }, { file: 123 }, { file: "content" }, { file: Buffer.from("a"), fn: 1 }]) {
+        await assert.rejects(client.uploadFiles([good, bad]), e => {
+            assert.ok(e instanceof GofileValidationError);
+            assert.strictEqual(e.field, "files");
+            assert.strictEqual(e.index, 1);
+            assert.match(e.message, /^File 1 /);
+            return true;
+        });
+    }
+    for (const files of [[], "a.txt", undefined]) {
+        await assert.rejects(client.uploadFiles(files), GofileValidationError);
+    }
+    assert.strictEqual(transport.requests.length, 0);
+});
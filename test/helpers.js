@@ -0,0 +1,102 @@
+const stream = require("stream");
+
+/**
+ * Reads a request body to its end
+ * @param {*} data - Request body, e.g. a form-data stream
+ * @returns {Promise<Buffer|undefined>}
+ */
+function readBody(data) {
+    if (!data || typeof data.pipe !== "function") {
+        return Promise.resolve(data === undefined ? undefined : Buffer.from(String(data)));
+    }
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        data.on("error", reject);
+        data.pipe(
+            new stream.Writable({
+                write(chunk, encoding, callback) {
+                    chunks.push(Buffer.from(chunk));
+                    callback();
+                },
+                final(callback) {
+                    resolve(Buffer.concat(chunks));
+                    callback();
+                },
+            })
+        );
+    });
+}
+
+/**
+ * Transport answering from a handler instead of the network. Every request is
+ * recorded in `transport.requests` with its body read into `body`.
+ * @param {function(object): *} handler - Receives the request, returns or throws the response
+ * @returns {function(object): Promise<*>}
+ */
+function fakeTransport(handler) {
+    const requests = [];
+    const transport = async config => {
+        const req = { ...config, path: new URL(config.url).pathname, body: await readBody(config.data) };
+        requests.push(req);
+        return handler(req);
+    };
+    transport.requests = requests;
+    return transport;
+}
+
+/**
+ * Successful API reply
+ * @param {*} data - The `data` of the reply
+ */
+function ok(data) {
+    return { status: 200, headers: {}, data: { status: "ok", data } };
+}
+
+/**
+ * Error thrown by axios for an HTTP error status
+ * @param {number} status - HTTP status code
+ * @param {object} [headers] - Response headers
+ */
+function httpError(status, headers = {}) {
+    const e = new Error(`Request failed with status code ${status}`);
+    e.response = { status, headers, data: "" };
+    return e;
+}
+
+/**
+ * Error thrown by axios when the connection fails
+ * @param {string} code - Error code, e.g. `ECONNRESET`
+ */
+function networkError(code) {
+    const e = new Error(`connect ${code}`);
+    e.code = code;
+    return e;
+}
+
+/**
+ * Content of the file in a multipart upload body
+ * @param {Buffer} body - Request body
+ * @returns {Buffer}
+ */
+function uploadedFile(body) {
+    const boundary = body.subarray(0, body.indexOf("\r\n"));
+    const start = body.indexOf("\r\n\r\n", body.indexOf('name="file"')) + 4;
+    return body.subarray(start, body.indexOf(Buffer.concat([Buffer.from("\r\n"), boundary]), start));
+}
+
+/**
+ * Resolves once `ms` milliseconds went by
+ * @param {number} ms - Delay in milliseconds
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    fakeTransport,
+    ok,
+    httpError,
+    networkError,
+    uploadedFile,
+    delay,
+};
@@ -0,0 +1,114 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, beforeEach, afterEach } = require("node:test");
+
+const { GofileClient } = require("../src/client");
+const { UploadLedger } = require("../src/ledger");
+const { fakeTransport, ok, httpError } = require("./helpers");
+
+let dir;
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "gofile-test-"));
+});
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function upload(code, names = ["a.txt"]) {
+    return {
+        code,
+        removalCode: `rc-${code}`,
+        files: names.map(name => ({ name, status: "uploaded", size: 1, md5: "0".repeat(32) })),
+    };
+}
+
+test("uploads are recorded, listed by filter and forgotten", async () => {
+    const ledger = new UploadLedger({ dir });
+    const now = Date.now();
+    await ledger.record(upload("c1", ["photo.jpg"]), { tags: "holiday,2024", expire: "1d" });
+    await ledger.record(upload("c2", ["report.pdf"]), { tags: ["work"], expire: new Date(now - 1000) });
+    await ledger.record(upload("c3"), { description: "plain" });
+
+    assert.deepStrictEqual((await ledger.list()).map(e => e.code), ["c1", "c2", "c3"]);
+    assert.deepStrictEqual((await ledger.list({ tag: "holiday" })).map(e => e.code), ["c1"]);
+    assert.deepStrictEqual((await ledger.list({ name: "*.pdf" })).map(e => e.code), ["c2"]);
+    assert.deepStrictEqual((await ledger.list({ expired: true })).map(e => e.code), ["c2"]);
+    assert.strictEqual((await ledger.get("c3")).description, "plain");
+    assert.deepStrictEqual((await ledger.get("c1")).tags, ["holiday", "2024"]);
+
+    assert.deepStrictEqual((await ledger.prune()).map(e => e.code), ["c2"]);
+    assert.strictEqual(await ledger.forget(["c1", "unknown"]), 1);
+    assert.deepStrictEqual((await ledger.list()).map(e => e.code), ["c3"]);
+});
+
+test("the last line of a code wins and lines cut short are skipped", async () => {
+    const ledger = new UploadLedger({ dir });
+    await ledger.record(upload("c1"), { description: "first" });
+    await ledger.record(upload("c1"), { description: "second" });
+    fs.appendFileSync(ledger.file, '{"code":"c2","remo');
+
+    const entries = await ledger.list();
+    assert.deepStrictEqual(entries.map(e => [e.code, e.description]), [["c1", "second"]]);
+});
+
+test("concurrent writes are not lost", async () => {
+    const ledger = new UploadLedger({ dir });
+    const other = new UploadLedger({ dir });
+    for (const code of ["c1", "c2", "c3", "c4"]) {
+        await ledger.record(upload(code));
+    }
+
+    await Promise.all([
+        ledger.forget(["c1"]),
+        other.forget(["c2"]),
+        ledger.record(upload("c5")),
+        other.forget(["c3"]),
+        ledger.record(upload("c6")),
+    ]);
+    assert.deepStrictEqual((await ledger.list()).map(e => e.code).sort(), ["c4", "c5", "c6"]);
+    assert.deepStrictEqual(fs.readdirSync(dir), ["uploads.jsonl"]);
+});
+
+test("uploads removed at the same time are all forgotten", async () => {
+    const ledger = new UploadLedger({ dir });
+    await ledger.record(upload("c1"));
+    await ledger.record(upload("c2"));
+    const transport = fakeTransport(req => {
+        if (req.path === "/getServer") {
+            return ok({ server: "store1" });
+        }
+        return ok({});
+    });
+    const client = new GofileClient({ transport, ledger });
+
+    await Promise.all([client.removeUpload("c1", "rc-c1"), client.removeUpload("c2", "rc-c2")]);
+    assert.deepStrictEqual(await ledger.list(), []);
+});
+
+test("bulk removal forgets removed and vanished uploads, and keeps the others", async () => {
+    const ledger = new UploadLedger({ dir });
+    for (const code of ["c1", "c2", "c3"]) {
+        await ledger.record(upload(code), { tags: "old" });
+    }
+    const transport = fakeTransport(req => {
+        if (req.path === "/getServer") {
+            return ok({ server: "store1" });
+        }
+        const code = new URL(req.url).searchParams.get("c");
+        if (code === "c2") {
+            throw httpError(404);
+        }
+        if (code === "c3") {
+            throw httpError(400);
+        }
+        return ok({});
+    });
+    const client = new GofileClient({ transport, retry: false });
+
+    await assert.rejects(ledger.remove(client, {}), { name: "GofileValidationError" });
+    const results = await ledger.remove(client, { tag: "old" });
+    assert.deepStrictEqual(results.map(r => r.removed), [true, false, false]);
+    assert.deepStrictEqual((await ledger.list()).map(e => e.code), ["c3"]);
+});
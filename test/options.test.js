@@ -0,0 +1,100 @@
+const assert = require("assert");
+const { test } = require("node:test");
+
+const { GofileClient } = require("../src/client");
+const { GofileValidationError } = require("../src/errors");
+const { normalizeUploadOptions, checkUploadOptions, expireToMillis, parseDuration } = require("../src/options");
+const { fakeTransport, ok } = require("./helpers");
+
+const NOW = Date.UTC(2024, 0, 1);
+
+test("durations are summed, other strings are not durations", () => {
+    assert.strictEqual(parseDuration("90s"), 90000);
+    assert.strictEqual(parseDuration(" 1D12h "), 36 * 60 * 60 * 1000);
+    assert.strictEqual(parseDuration("1.5w"), 1.5 * 7 * 24 * 60 * 60 * 1000);
+    for (const str of ["", "7", "d", "7 d", "7y", "-1d"]) {
+        assert.strictEqual(parseDuration(str), undefined, str);
+    }
+});
+
+test("expiration dates are read from dates, epoch times, ISO dates and durations", () => {
+    const later = NOW + 7 * 24 * 60 * 60 * 1000;
+    assert.strictEqual(expireToMillis(new Date(later), NOW), later);
+    assert.strictEqual(expireToMillis(later / 1000, NOW), later);
+    assert.strictEqual(expireToMillis(later, NOW), later);
+    assert.strictEqual(expireToMillis(String(later / 1000), NOW), later);
+    assert.strictEqual(expireToMillis("2024-01-08T00:00:00Z", NOW), later);
+    assert.strictEqual(expireToMillis("7d", NOW), later);
+    for (const expire of [undefined, null, "", "tomorrow", "08/01/2024", new Date(NaN), {}]) {
+        assert.strictEqual(expireToMillis(expire, NOW), undefined, String(expire));
+    }
+});
+
+test("options are normalized into the form sent to the server", () => {
+    const options = normalizeUploadOptions(
+        {
+            expire: "1d",
+            password: "secret123",
+            description: "",
+            tags: " a, b ,,c",
+            ac: "admin",
+            email: "me@example.com",
+            onProgress: () => {},
+        },
+        { now: NOW }
+    );
+    assert.deepStrictEqual(options, {
+        expire: NOW / 1000 + 24 * 60 * 60,
+        password: "secret123",
+        tags: ["a", "b", "c"],
+        ac: "admin",
+        email: "me@example.com",
+    });
+    assert.deepStrictEqual(normalizeUploadOptions({ tags: ["x", " y "] }).tags, ["x", "y"]);
+    assert.deepStrictEqual(normalizeUploadOptions(), {});
+});
+
+test("every problem is reported, the first one naming the field of the error", () => {
+    const { options, problems } = checkUploadOptions(
+        {
+            description: 1,
+            ac: "a".repeat(21),
+            tags: ["a,b"],
+            email: "nobody",
+            password: "short",
+            expire: NOW - 1000,
+        },
+        { now: NOW }
+    );
+    assert.deepStrictEqual(options, {});
+    assert.deepStrictEqual(problems.map(p => p.field), ["description", "ac", "tags", "email", "password", "expire"]);
+
+    assert.throws(
+        () => normalizeUploadOptions({ email: "nobody", expire: "soon" }),
+        e => {
+            assert.ok(e instanceof GofileValidationError);
+            assert.strictEqual(e.field, "email");
+            assert.deepStrictEqual(e.problems.map(p => p.field), ["email", "expire"]);
+            assert.match(e.message, /email must be an email address; expire must be/);
+            return true;
+        }
+    );
+    assert.strictEqual(checkUploadOptions({ tags: 12 }).problems[0].field, "tags");
+    assert.strictEqual(checkUploadOptions({ tags: "x".repeat(1001) }).problems[0].field, "tags");
+});
+
+test("uploads send normalized options, and bad options are rejected before any request", async () => {
+    const transport = fakeTransport(req => (req.path === "/getServer" ? ok({ server: "store1" }) : ok({ code: "abc" })));
+    const client = new GofileClient({ transport });
+    await client.uploadFiles([{ file: Buffer.from("a") }], { tags: ["x", "y"], expire: new Date(Date.now() + 60000) });
+    const body = transport.requests[1].body.toString();
+    assert.match(body, /name="tags"\r\n\r\nx,y\r\n/);
+    assert.match(body, /name="expire"\r\n\r\n\d{10}\r\n/);
+
+    transport.requests.length = 0;
+    await assert.rejects(
+        client.uploadFiles([{ file: Buffer.from("a") }], { expire: "never" }),
+        e => e instanceof GofileValidationError && e.field === "expire"
+    );
+    assert.strictEqual(transport.requests.length, 0);
+});
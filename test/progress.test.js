@@ -0,0 +1,91 @@
+const assert = require("assert");
+const { once } = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const stream = require("stream");
+const { test } = require("node:test");
+
+const { GofileClient } = require("../src/client");
+const { ProgressTracker, knownSize } = require("../src/progress");
+const { fakeTransport, ok } = require("./helpers");
+
+test("trackers add up files, throttle reports and always report completions", () => {
+    const events = [];
+    const tracker = new ProgressTracker("upload", [{ name: "a", total: 10 }, { name: "b" }], e => events.push(e), 60000);
+    tracker.add(0, 4);
+    tracker.add(0, 6);
+    assert.strictEqual(events.length, 1);
+    tracker.done(0);
+    assert.strictEqual(events.length, 2);
+    assert.deepStrictEqual(
+        { ...events[1].overall, rate: 0, eta: 0 },
+        { files: 2, completed: 1, transferred: 10, total: undefined, rate: 0, eta: 0 }
+    );
+
+    tracker.add(1, 5);
+    tracker.done(1);
+    const last = events[events.length - 1];
+    assert.strictEqual(last.file.name, "b");
+    assert.strictEqual(last.file.total, 5);
+    assert.strictEqual(last.overall.total, 15);
+    assert.strictEqual(last.overall.completed, 2);
+
+    tracker.reset(1);
+    assert.strictEqual(tracker.files[1].transferred, 0);
+    assert.strictEqual(tracker.files[1].done, false);
+});
+
+test("sizes are known up front for bytes, blobs and whole files", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gofile-test-"));
+    const file = path.join(dir, "a.txt");
+    fs.writeFileSync(file, "hello");
+    const whole = fs.createReadStream(file);
+    const part = fs.createReadStream(file, { start: 1 });
+    try {
+        assert.strictEqual(knownSize({ file: Buffer.alloc(3) }), 3);
+        assert.strictEqual(knownSize({ file: new ArrayBuffer(4) }), 4);
+        assert.strictEqual(knownSize({ file: new Blob(["ab"]) }), 2);
+        assert.strictEqual(knownSize({ file: whole }), 5);
+        assert.strictEqual(knownSize({ file: part }), undefined);
+        assert.strictEqual(knownSize({ file: () => Buffer.alloc(1) }), undefined);
+        assert.strictEqual(knownSize({ file: () => Buffer.alloc(1), size: 1 }), 1);
+        assert.strictEqual(knownSize({ file: stream.Readable.from(["x"]) }), undefined);
+    } finally {
+        whole.destroy();
+        part.destroy();
+        await Promise.all([once(whole, "close"), once(part, "close")]);
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test("uploads and downloads report their progress up to completion", async () => {
+    const data = Buffer.alloc(300 * 1024, 1);
+    const transport = fakeTransport(req => {
+        if (req.path === "/getServer") {
+            return ok({ server: "store1" });
+        }
+        if (req.path === "/getUpload") {
+            return ok({ code: "abc", files: { f1: { name: "a.bin", size: data.length, link: "http://store1.test/download/f1/a.bin" } } });
+        }
+        if (req.path.startsWith("/download/")) {
+            return { status: 200, headers: { "content-length": String(data.length) }, data: stream.Readable.from([data]) };
+        }
+        return ok({ code: "abc" });
+    });
+    const client = new GofileClient({ transport });
+
+    const uploads = [];
+    await client.uploadFiles([{ file: data, fn: "a.bin" }], { onProgress: e => uploads.push(e) });
+    assert.ok(uploads.length >= 2);
+    assert.ok(uploads.every(e => e.direction === "upload" && e.file.name === "a.bin"));
+    const uploaded = uploads[uploads.length - 1];
+    assert.deepStrictEqual([uploaded.file.done, uploaded.overall.transferred, uploaded.overall.total], [true, data.length, data.length]);
+
+    const downloads = [];
+    const [file] = await client.downloadFiles("abc", "", "arraybuffer", { onProgress: e => downloads.push(e) });
+    assert.strictEqual(file.length, data.length);
+    const downloaded = downloads[downloads.length - 1];
+    assert.strictEqual(downloaded.direction, "download");
+    assert.deepStrictEqual([downloaded.overall.completed, downloaded.overall.transferred], [1, data.length]);
+});
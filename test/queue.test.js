@@ -0,0 +1,148 @@
+const assert = require("assert");
+const { test } = require("node:test");
+
+const { GofileClient } = require("../src/client");
+const { GofileAbortError, GofileApiError } = require("../src/errors");
+const { fakeTransport, ok, httpError, uploadedFile, delay } = require("./helpers");
+
+/**
+ * Client whose uploads take `ms` milliseconds, failing for the files listed in `failing`.
+ * Requests stop when their signal is aborted, like axios does.
+ * @param {object} [opts]
+ * @param {number} [opts.ms] - Duration of each upload in milliseconds
+ * @param {string[]} [opts.failing] - Content of the files whose upload fails
+ */
+function setup({ ms = 20, failing = [] } = {}) {
+    let running = 0;
+    const stats = { maxRunning: 0, order: [] };
+    const transport = fakeTransport(async req => {
+        if (req.path === "/getServer") {
+            return ok({ server: "store1" });
+        }
+        const name = uploadedFile(req.body).toString();
+        stats.order.push(name);
+        running++;
+        stats.maxRunning = Math.max(stats.maxRunning, running);
+        try {
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(resolve, ms);
+                if (req.signal) {
+                    req.signal.addEventListener("abort", () => {
+                        clearTimeout(timer);
+                        reject(Object.assign(new Error("canceled"), { name: "AbortError" }));
+                    });
+                }
+            });
+        } finally {
+            running--;
+        }
+        if (failing.includes(name)) {
+            throw httpError(400);
+        }
+        return ok({ code: `code-${name}`, removalCode: "rc" });
+    });
+    const client = new GofileClient({ transport, retry: false });
+    return { client, transport, stats };
+}
+
+function file(name) {
+    return { file: Buffer.from(name), fn: `${name}.txt` };
+}
+
+test("jobs run with a bounded concurrency, by priority, on one server per batch", async () => {
+    const { client, transport, stats } = setup();
+    const queue = client.createUploadQueue({ concurrency: 2, paused: true });
+    for (const name of ["a", "b", "c", "d"]) {
+        queue.add(file(name));
+    }
+    queue.add(file("urgent"), { priority: 1 });
+    queue.resume();
+
+    const summary = await queue.drain();
+    assert.strictEqual(summary.total, 5);
+    assert.strictEqual(summary.completed, 5);
+    assert.strictEqual(stats.maxRunning, 2);
+    assert.deepStrictEqual(stats.order, ["urgent", "a", "b", "c", "d"]);
+    assert.strictEqual(transport.requests.filter(r => r.path === "/getServer").length, 1);
+    assert.deepStrictEqual(
+        summary.jobs.map(j => j.result.code),
+        ["code-a", "code-b", "code-c", "code-d", "code-urgent"]
+    );
+});
+
+test("failed jobs are reported and do not stop the queue", async () => {
+    const { client } = setup({ failing: ["b"] });
+    const queue = client.createUploadQueue({ concurrency: 1 });
+    const failed = [];
+    queue.on("failed", job => failed.push(job));
+    for (const name of ["a", "b", "c"]) {
+        queue.add(file(name));
+    }
+
+    const summary = await queue.drain();
+    assert.strictEqual(summary.completed, 2);
+    assert.strictEqual(summary.failed, 1);
+    assert.strictEqual(failed.length, 1);
+    assert.ok(failed[0].error instanceof GofileApiError);
+    assert.strictEqual(failed[0].error.result.failed, 1);
+});
+
+test("cancelled jobs are dropped when queued and aborted when running", async () => {
+    const { client, stats } = setup({ ms: 1000 });
+    const queue = client.createUploadQueue({ concurrency: 1 });
+    const running = queue.add(file("a"));
+    const queued = queue.add(file("b"));
+    const controller = new AbortController();
+    const other = queue.add(file("c"), { signal: controller.signal });
+
+    queued.cancel();
+    assert.strictEqual(queued.status, "cancelled");
+    await delay(50);
+    running.cancel();
+    controller.abort();
+
+    const summary = await queue.drain();
+    assert.strictEqual(summary.cancelled, 3);
+    assert.ok(running.error instanceof GofileAbortError);
+    assert.strictEqual(other.status, "cancelled");
+    assert.deepStrictEqual(stats.order, ["a"]);
+});
+
+test("cancelling the queue cancels every job and refuses new ones", async () => {
+    const { client } = setup({ ms: 1000 });
+    const controller = new AbortController();
+    const queue = client.createUploadQueue({ concurrency: 2, signal: controller.signal });
+    for (const name of ["a", "b", "c"]) {
+        queue.add(file(name));
+    }
+    await delay(50);
+    controller.abort();
+
+    const summary = await queue.drain();
+    assert.strictEqual(summary.cancelled, 3);
+    assert.throws(() => queue.add(file("d")), GofileAbortError);
+});
+
+test("jobs can be cancelled where AbortController is missing, as on Node.js 10 to 14", async () => {
+    const { client, stats } = setup({ ms: 1000 });
+    const queue = client.createUploadQueue({ concurrency: 1 });
+    const saved = globalThis.AbortController;
+    let running;
+    let queued;
+    try {
+        delete globalThis.AbortController;
+        running = queue.add(file("a"));
+        queued = queue.add(file("b"));
+    } finally {
+        globalThis.AbortController = saved;
+    }
+    assert.ok(!(running.controller instanceof AbortController));
+
+    queued.cancel();
+    await delay(50);
+    running.cancel();
+    const summary = await queue.drain();
+    assert.strictEqual(summary.cancelled, 2);
+    assert.ok(running.error instanceof GofileAbortError);
+    assert.deepStrictEqual(stats.order, ["a"]);
+});
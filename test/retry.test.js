@@ -0,0 +1,165 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test } = require("node:test");
+
+const { GofileClient } = require("../src/client");
+const { GofileAbortError, GofileApiError, GofileNotFoundError, GofileUploadError } = require("../src/errors");
+const { normalizeRetryOptions, retryDelay } = require("../src/retry");
+const { fakeTransport, ok, httpError, networkError, uploadedFile } = require("./helpers");
+
+function client(transport, retry = {}) {
+    return new GofileClient({
+        transport,
+        apiUrl: "http://api.test",
+        serverUrl: "http://{server}.test",
+        retry: { minDelay: 1, jitter: false, ...retry },
+    });
+}
+
+test("retry options are clamped to at least one attempt", () => {
+    assert.strictEqual(normalizeRetryOptions().attempts, 3);
+    assert.strictEqual(normalizeRetryOptions(5).attempts, 5);
+    assert.strictEqual(normalizeRetryOptions(2.7).attempts, 2);
+    assert.strictEqual(normalizeRetryOptions(false).attempts, 1);
+    assert.strictEqual(normalizeRetryOptions(NaN).attempts, 1);
+    assert.strictEqual(normalizeRetryOptions({ attempts: -2 }).attempts, 1);
+});
+
+test("delays back off exponentially and follow Retry-After", () => {
+    const policy = normalizeRetryOptions({ minDelay: 100, maxDelay: 1000, jitter: false });
+    assert.deepStrictEqual(
+        [1, 2, 3, 4, 5].map(n => retryDelay(n, policy, new Error())),
+        [100, 200, 400, 800, 1000]
+    );
+    assert.strictEqual(retryDelay(1, policy, { headers: { "retry-after": "2" } }), 2000);
+    assert.strictEqual(retryDelay(1, policy, { headers: { "retry-after": "3600" } }), undefined);
+});
+
+test("failed API requests are retried until they succeed", async () => {
+    let calls = 0;
+    const transport = fakeTransport(() => {
+        calls++;
+        if (calls === 1) {
+            throw httpError(503);
+        }
+        if (calls === 2) {
+            throw networkError("ECONNRESET");
+        }
+        return ok({ server: "store1" });
+    });
+    assert.strictEqual(await client(transport).getServer(), "store1");
+    assert.strictEqual(transport.requests.length, 3);
+});
+
+test("retries stop after the last attempt, and errors that cannot be retried are not", async () => {
+    const failing = fakeTransport(() => {
+        throw httpError(503);
+    });
+    await assert.rejects(client(failing, { attempts: 2 }).getServer(), e => e instanceof GofileApiError && e.httpStatus === 503);
+    assert.strictEqual(failing.requests.length, 2);
+
+    const missing = fakeTransport(() => {
+        throw httpError(404);
+    });
+    await assert.rejects(client(missing).getServer(), GofileNotFoundError);
+    assert.strictEqual(missing.requests.length, 1);
+});
+
+test("uploads fail over to a new server before retrying, sending the whole file again", async () => {
+    const servers = ["store1", "store2"];
+    const transport = fakeTransport(req => {
+        if (req.path === "/getServer") {
+            return ok({ server: servers.shift() });
+        }
+        if (req.url.startsWith("http://store1.test")) {
+            throw httpError(502);
+        }
+        return ok({ code: "abc", removalCode: "rc", downloadPage: "https://gofile.io/d/abc" });
+    });
+    const result = await client(transport).uploadFiles([{ file: Buffer.from("hello"), fn: "a.txt" }]);
+
+    const uploads = transport.requests.filter(r => r.path === "/uploadFile");
+    assert.deepStrictEqual(uploads.map(r => new URL(r.url).host), ["store1.test", "store2.test"]);
+    assert.strictEqual(uploadedFile(uploads[1].body).toString(), "hello");
+    assert.strictEqual(result.files[0].attempts, 2);
+    assert.strictEqual(result.files[0].link, "https://gofile.io/d/abc");
+});
+
+test("streams are not uploaded twice, and a single failed file rejects with its own error", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gofile-test-"));
+    const file = path.join(dir, "a.txt");
+    fs.writeFileSync(file, "hello");
+    const transport = fakeTransport(req => {
+        if (req.path === "/getServer") {
+            return ok({ server: "store1" });
+        }
+        throw httpError(503);
+    });
+    try {
+        await assert.rejects(client(transport).uploadFiles([{ file: fs.createReadStream(file) }]), e => {
+            assert.ok(e instanceof GofileApiError);
+            assert.strictEqual(e.replayable, false);
+            assert.strictEqual(e.result.failed, 1);
+            return true;
+        });
+        assert.strictEqual(transport.requests.filter(r => r.path === "/uploadFile").length, 1);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test("files failing in different ways reject with an upload error", async () => {
+    const transport = fakeTransport(req => {
+        if (req.path === "/getServer") {
+            return ok({ server: "store1" });
+        }
+        throw uploadedFile(req.body).toString() === "a" ? httpError(400) : networkError("EACCES");
+    });
+    await assert.rejects(
+        client(transport).uploadFiles([{ file: Buffer.from("a") }, { file: Buffer.from("b") }]),
+        e => e instanceof GofileUploadError && e.cause instanceof GofileApiError && e.result.failed === 2
+    );
+});
+
+test("aborting stops the wait between attempts", async () => {
+    const controller = new AbortController();
+    const transport = fakeTransport(req => {
+        if (req.path === "/getServer") {
+            return ok({ server: "store1" });
+        }
+        setTimeout(() => controller.abort(), 10);
+        throw httpError(503);
+    });
+    const started = Date.now();
+    await assert.rejects(
+        client(transport, { minDelay: 60000 }).uploadFiles([{ file: Buffer.from("a") }], { signal: controller.signal }),
+        GofileAbortError
+    );
+    assert.ok(Date.now() - started < 5000);
+});
+
+test("the fallback server is only used when one is configured", async () => {
+    const transport = fakeTransport(req => {
+        if (req.path === "/getServer") {
+            throw httpError(500);
+        }
+        return ok({ code: "abc", files: {} });
+    });
+    await assert.rejects(client(transport, { attempts: 1 }).getUploadInfo("abc"), e => e instanceof GofileApiError && e.httpStatus === 500);
+    assert.ok(!transport.requests.some(r => r.path === "/getUpload"));
+
+    const warnings = [];
+    const withFallback = new GofileClient({
+        transport,
+        apiUrl: "http://api.test",
+        serverUrl: "http://{server}.test",
+        fallbackServer: "backup",
+        retry: false,
+        logger: { warn: message => warnings.push(message) },
+    });
+    assert.strictEqual((await withFallback.getUploadInfo("abc")).code, "abc");
+    assert.strictEqual(new URL(transport.requests[transport.requests.length - 1].url).host, "backup.test");
+    assert.match(warnings[0], /using backup/);
+});
@@ -0,0 +1,143 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, beforeEach, afterEach } = require("node:test");
+
+const { GofileClient } = require("../src/client");
+const { GofileValidationError } = require("../src/errors");
+const { globToRegExp, isGlob, compileFilter } = require("../src/glob");
+const { IgnoreRules } = require("../src/ignore");
+const { encodeRelativePath, decodeRelativePath } = require("../src/upload");
+const { walk, splitGlob } = require("../src/walk");
+const { fakeTransport, ok } = require("./helpers");
+
+let dir;
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "gofile-test-"));
+});
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Creates files under the test directory
+ * @param {Object<string, string>} files - Content by relative path
+ */
+function tree(files) {
+    for (const [rel, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive: true });
+        fs.writeFileSync(path.join(dir, rel), content);
+    }
+}
+
+test("globs match within and across directories", () => {
+    const cases = [
+        ["*.txt", "a.txt", true],
+        ["*.txt", "dir/a.txt", false],
+        ["**/*.txt", "a.txt", true],
+        ["**/*.txt", "dir/sub/a.txt", true],
+        ["src/**", "src/a/b.js", true],
+        ["file?.md", "file1.md", true],
+        ["file?.md", "file10.md", false],
+        ["[!a]*.js", "b.js", true],
+        ["[!a]*.js", "a.js", false],
+        ["*.{jpg,png}", "x.png", true],
+        ["*.{jpg,png}", "x.gif", false],
+        ["a+b(1).txt", "a+b(1).txt", true],
+        ["\\*.txt", "*.txt", true],
+        ["\\*.txt", "a.txt", false],
+    ];
+    for (const [pattern, name, expected] of cases) {
+        assert.strictEqual(globToRegExp(pattern).test(name), expected, `${pattern} ${name}`);
+    }
+    assert.ok(isGlob("dir/*.txt"));
+    assert.ok(!isGlob("dir/a.txt"));
+    assert.deepStrictEqual(splitGlob("photos/2024/**/*.jpg"), { base: "photos/2024", pattern: "**/*.jpg" });
+    assert.deepStrictEqual(splitGlob("*.jpg"), { base: ".", pattern: "*.jpg" });
+    assert.deepStrictEqual(splitGlob("/data/*.jpg"), { base: "/data", pattern: "*.jpg" });
+});
+
+test("name filters take patterns, regular expressions and predicates", () => {
+    const filter = compileFilter(["*.jpg", /^raw\//, name => name === "keep.me"]);
+    assert.ok(filter("dir/photo.jpg"));
+    assert.ok(filter("raw/x.cr2"));
+    assert.ok(filter("keep.me"));
+    assert.ok(!filter("dir/raw/x.cr2"));
+    assert.ok(!compileFilter("dir/*.jpg")("other/dir/a.jpg"));
+});
+
+test("ignore rules follow .gitignore semantics", () => {
+    const rules = new IgnoreRules().add(["# comment", "*.log", "!keep.log", "build/", "/root.txt", "docs/*.md", "\\#hash"]);
+    assert.ok(rules.ignores("a.log"));
+    assert.ok(rules.ignores("dir/a.log"));
+    assert.ok(!rules.ignores("dir/keep.log"));
+    assert.ok(rules.ignores("build", true));
+    assert.ok(!rules.ignores("build"));
+    assert.ok(rules.ignores("root.txt"));
+    assert.ok(!rules.ignores("dir/root.txt"));
+    assert.ok(rules.ignores("docs/a.md"));
+    assert.ok(!rules.ignores("docs/sub/a.md"));
+    assert.ok(rules.ignores("#hash"));
+
+    const nested = new IgnoreRules().add("*.tmp\n/only-here", "sub");
+    assert.ok(nested.ignores("sub/deep/a.tmp"));
+    assert.ok(!nested.ignores("a.tmp"));
+    assert.ok(nested.ignores("sub/only-here"));
+    assert.ok(!nested.ignores("sub/deep/only-here"));
+});
+
+test("walks read ignore files in every directory, and globs filter what is left", async () => {
+    tree({
+        ".gofileignore": "*.log\nnode_modules/\n",
+        "a.txt": "a",
+        "debug.log": "x",
+        "node_modules/m/index.js": "x",
+        "sub/.gofileignore": "!important.log\n/local.txt\n",
+        "sub/important.log": "x",
+        "sub/local.txt": "x",
+        "sub/b.txt": "bb",
+        "sub/deep/c.md": "c",
+    });
+
+    const all = await walk(dir, { ignore: "*.md" });
+    assert.strictEqual(all.root, dir);
+    assert.deepStrictEqual(all.files.map(f => f.relativePath), ["a.txt", "sub/b.txt", "sub/important.log"]);
+    assert.strictEqual(all.files[1].size, 2);
+
+    const globbed = await walk(path.join(dir, "**/*.txt"));
+    assert.deepStrictEqual(globbed.files.map(f => f.relativePath), ["a.txt", "sub/b.txt"]);
+
+    const unfiltered = await walk(dir, { ignoreFile: false });
+    assert.strictEqual(unfiltered.files.length, 9);
+
+    const single = await walk(path.join(dir, "a.txt"));
+    assert.deepStrictEqual(single, { root: dir, files: [{ path: path.join(dir, "a.txt"), relativePath: "a.txt", size: 1 }] });
+
+    await assert.rejects(walk(path.join(dir, "missing")), GofileValidationError);
+});
+
+test("relative paths are encoded into file names and decoded back", () => {
+    assert.strictEqual(encodeRelativePath("a/100%/b.txt"), "a%2F100%25%2Fb.txt");
+    assert.strictEqual(decodeRelativePath("a%2F100%25%2Fb.txt"), "a/100%/b.txt");
+    assert.strictEqual(encodeRelativePath("a/b.txt", "__"), "a__b.txt");
+});
+
+test("directories are uploaded file by file or as one zip, with a manifest", async () => {
+    tree({ "a.txt": "a", "sub/b.txt": "b" });
+    const transport = fakeTransport(req => (req.path === "/getServer" ? ok({ server: "store1" }) : ok({ code: "abc" })));
+    const client = new GofileClient({ transport });
+
+    const result = await client.uploadPath(dir);
+    assert.deepStrictEqual(result.files.map(f => f.name), ["a.txt", "sub%2Fb.txt"]);
+    assert.strictEqual(result.manifest[path.join(dir, "sub", "b.txt")].relativePath, "sub/b.txt");
+
+    const zipped = await client.uploadPath(dir, { archive: "all.zip" });
+    assert.deepStrictEqual(zipped.files.map(f => f.name), ["all.zip"]);
+    assert.strictEqual(zipped.manifest[path.join(dir, "a.txt")].archivePath, "a.txt");
+    const zip = transport.requests[transport.requests.length - 1].body;
+    assert.ok(zip.includes("PK\x03\x04") && zip.includes("sub/b.txt"));
+
+    await assert.rejects(client.uploadPath(path.join(dir, "*.none")), /No files to upload/);
+    await assert.rejects(client.uploadPath(dir, { expire: "never" }), { field: "expire" });
+});
@@ -0,0 +1,121 @@
+const assert = require("assert");
+const { once } = require("events");
+const { test } = require("node:test");
+
+const { GofileClient } = require("../src/client");
+const { TtlCache, normalizeCacheOptions } = require("../src/cache");
+const { GofileValidationError } = require("../src/errors");
+const { fakeTransport, ok, httpError, delay } = require("./helpers");
+
+test("cache options are off unless asked for", () => {
+    assert.deepStrictEqual(normalizeCacheOptions(), { server: 0, uploadInfo: 0 });
+    assert.deepStrictEqual(normalizeCacheOptions(true), { server: 60000, uploadInfo: 30000 });
+    assert.deepStrictEqual(normalizeCacheOptions({ server: 5 }), { server: 5, uploadInfo: 30000 });
+});
+
+test("cached values expire, are shared while pending and dropped when they fail", async () => {
+    const cache = new TtlCache(200);
+    let calls = 0;
+    const lookup = async () => ++calls;
+
+    assert.deepStrictEqual(await Promise.all([cache.wrap("k", lookup), cache.wrap("k", lookup)]), [1, 1]);
+    assert.strictEqual(await cache.wrap("k", lookup), 1);
+    assert.strictEqual(await cache.wrap("k", lookup, true), 2);
+    await delay(250);
+    assert.strictEqual(await cache.wrap("k", lookup), 3);
+
+    await assert.rejects(cache.wrap("f", () => Promise.reject(new Error("down"))), /down/);
+    assert.strictEqual(await cache.wrap("f", lookup), 4);
+
+    cache.invalidate(key => key === "k");
+    assert.deepStrictEqual([...cache.entries.keys()], ["f"]);
+    cache.invalidate();
+    assert.strictEqual(cache.entries.size, 0);
+
+    const off = new TtlCache(0);
+    assert.strictEqual(await off.wrap("k", lookup), 5);
+    assert.strictEqual(await off.wrap("k", lookup), 6);
+});
+
+test("clients cache servers and upload info, and removals drop the info", async () => {
+    const transport = fakeTransport(req => {
+        if (req.path === "/getServer") {
+            return ok({ server: "store1" });
+        }
+        return ok({ code: "abc", files: {} });
+    });
+    const client = new GofileClient({ transport, cache: true });
+    await client.getUploadInfo("abc");
+    await client.getUploadInfo("abc");
+    assert.deepStrictEqual(transport.requests.map(r => r.path), ["/getServer", "/getUpload"]);
+
+    await client.getUploadInfo("abc", "", { fresh: true });
+    await client.removeUpload("abc", "rc");
+    await client.getUploadInfo("abc");
+    assert.deepStrictEqual(transport.requests.map(r => r.path), ["/getServer", "/getUpload", "/getUpload", "/deleteUpload", "/getUpload"]);
+});
+
+/**
+ * Client serving the upload infos of `states` in turn, the last one repeating
+ * @param {Array<object|Error>} states - Upload infos, or errors to throw
+ */
+function watched(states) {
+    const transport = fakeTransport(req => {
+        if (req.path === "/getServer") {
+            return ok({ server: "store1" });
+        }
+        const state = states.length > 1 ? states.shift() : states[0];
+        if (state instanceof Error) {
+            throw state;
+        }
+        return ok(state);
+    });
+    return new GofileClient({ transport, retry: false, logger: { info() {}, warn() {}, error() {} } });
+}
+
+test("watchers report views, added and removed files, and the approaching expiration", async () => {
+    const client = watched([
+        { code: "abc", views: 1, files: { f1: { name: "a" }, f2: { name: "b" } } },
+        { code: "abc", views: 4, files: { f1: { name: "a" }, f3: { name: "c" } } },
+    ]);
+    const watcher = client.watchUpload("abc", { interval: 10, expire: Date.now() + 1000, expiryWarning: 5000 });
+    const events = [];
+    for (const name of ["views", "filesAdded", "filesRemoved", "expiring"]) {
+        watcher.on(name, e => events.push([name, e]));
+    }
+
+    await once(watcher, "update");
+    await once(watcher, "update");
+    watcher.stop();
+    assert.deepStrictEqual(
+        events.map(([name]) => name),
+        ["expiring", "views", "filesAdded", "filesRemoved"]
+    );
+    assert.deepStrictEqual(events[1][1], { views: 4, previous: 1 });
+    assert.deepStrictEqual(events[2][1], [{ name: "c" }]);
+    assert.deepStrictEqual(events[3][1], [{ name: "b" }]);
+});
+
+test("watchers keep going after errors and stop once the upload is gone", async () => {
+    const client = watched([httpError(503), { code: "abc", views: 0, files: {} }, httpError(404)]);
+    const watcher = client.watchUpload("abc", { interval: 10 });
+    const errors = [];
+    watcher.on("error", e => errors.push(e));
+
+    // once() would reject on the first error
+    const gone = await new Promise(resolve => watcher.on("gone", resolve));
+    assert.strictEqual(gone.name, "GofileNotFoundError");
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(watcher.stopped, true);
+});
+
+test("watchers stop on abort and reject bad intervals", async () => {
+    const controller = new AbortController();
+    const client = watched([{ code: "abc", views: 0, files: {} }]);
+    const watcher = client.watchUpload("abc", { interval: 10, signal: controller.signal });
+    await once(watcher, "update");
+    controller.abort();
+    assert.strictEqual(watcher.stopped, true);
+
+    assert.throws(() => client.watchUpload("abc", { interval: 0 }), GofileValidationError);
+});